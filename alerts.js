@@ -0,0 +1,102 @@
+// ─────────────────────────────────────────────
+//  Chat alert rules
+//
+//  {
+//    id, name,
+//    pattern:  regex source (case-insensitive), tested
+//              against "<sender> message" without § codes
+//    accounts: [email, ...]  — empty = every account
+//    cooldown: seconds between triggers per account
+//              (at least 1 for 'reply')
+//    action:   'ping-role' | 'ping-user' | 'dm' | 'reply'
+//    target:   role/user ID for ping-role, ping-user, dm
+//    reply:    in-game text for 'reply' — {sender} and
+//              {message} are substituted, minus any
+//              leading '/'
+//  }
+//
+//  Rules live in the state file; this module only
+//  matches. server.js carries out the actions.
+// ─────────────────────────────────────────────
+const crypto = require('crypto');
+const store  = require('./store');
+
+const ACTIONS   = ['ping-role', 'ping-user', 'dm', 'reply'];
+const MAX_RULES = 100;
+
+const lastFired = new Map(); // `${id}\n${email}` -> ms
+let compiled = null;         // cached RegExps, rebuilt when rules change
+
+function listRules() {
+  return store.get('alertRules', []);
+}
+
+// Throws on invalid input
+function parseRule(input = {}) {
+  const name = String(input.name ?? '').trim();
+  if (!name || name.length > 50) throw new Error('name must be 1-50 chars');
+
+  const pattern = String(input.pattern ?? '');
+  if (!pattern || pattern.length > 200) throw new Error('pattern must be 1-200 chars');
+  try { new RegExp(pattern, 'i'); } catch (err) { throw new Error(`pattern: ${err.message}`); }
+
+  let accounts = input.accounts ?? [];
+  if (typeof accounts === 'string') accounts = accounts.split(',').map(a => a.trim()).filter(Boolean);
+  if (!Array.isArray(accounts)) throw new Error('accounts must be an array');
+
+  const cooldown = input.cooldown === undefined ? 60 : Number(input.cooldown);
+  if (!Number.isFinite(cooldown) || cooldown < 0 || cooldown > 86400) throw new Error('cooldown must be 0-86400 seconds');
+
+  const action = String(input.action ?? '');
+  if (!ACTIONS.includes(action)) throw new Error(`action must be one of ${ACTIONS.join(', ')}`);
+  // Two bots replying to each other would otherwise spam as fast as chat allows
+  if (action === 'reply' && cooldown < 1) throw new Error('reply rules need a cooldown of at least 1 second');
+
+  const rule = { name, pattern, accounts: accounts.map(String), cooldown, action };
+  if (action === 'reply') {
+    rule.reply = String(input.reply ?? '').trim();
+    if (!rule.reply || rule.reply.length > 256) throw new Error('reply must be 1-256 chars');
+  } else {
+    rule.target = String(input.target ?? '');
+    if (!/^\d{5,25}$/.test(rule.target)) throw new Error('target must be a Discord role/user ID');
+  }
+  return rule;
+}
+
+function addRule(input) {
+  const rules = listRules();
+  if (rules.length >= MAX_RULES) throw new Error(`at most ${MAX_RULES} rules`);
+  const rule = { id: crypto.randomBytes(3).toString('hex'), ...parseRule(input) };
+  store.set('alertRules', [...rules, rule]);
+  compiled = null;
+  return rule;
+}
+
+// Returns the removed rule, or null
+function removeRule(id) {
+  const rules = listRules();
+  const rule = rules.find(r => r.id === id);
+  if (!rule) return null;
+  store.set('alertRules', rules.filter(r => r.id !== id));
+  compiled = null;
+  return rule;
+}
+
+// Rules that fire for this line, honouring per-account cooldowns
+function matchRules(email, line, now = Date.now()) {
+  if (!compiled) compiled = listRules().map(rule => ({ rule, re: new RegExp(rule.pattern, 'i') }));
+
+  const fired = [];
+  for (const { rule, re } of compiled) {
+    if (rule.accounts.length && !rule.accounts.includes(email)) continue;
+    if (!re.test(line)) continue;
+
+    const key = `${rule.id}\n${email}`;
+    if (now - (lastFired.get(key) ?? -Infinity) < rule.cooldown * 1000) continue;
+    lastFired.set(key, now);
+    fired.push(rule);
+  }
+  return fired;
+}
+
+module.exports = { ACTIONS, listRules, addRule, removeRule, matchRules };
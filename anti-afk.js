@@ -0,0 +1,132 @@
+// ─────────────────────────────────────────────
+//  Anti-AFK — small periodic inputs so idle-kick
+//  plugins see the bot as active.
+//
+//  {
+//    enabled:  false,
+//    pattern:  'rotate' | 'jump' | 'sneak' | 'mixed',
+//    interval: seconds between actions (min 5),
+//    method:   'auth_input'  — player_auth_input (servers with
+//                              server-authoritative movement, i.e.
+//                              every modern Bedrock server)
+//            | 'move_player' — legacy client-authoritative move
+//  }
+//
+//  Needs the player's runtime id / position / rotation
+//  from start_game — world-state.js keeps those on bot.world.
+// ─────────────────────────────────────────────
+const PATTERNS = ['rotate', 'jump', 'sneak', 'mixed'];
+const METHODS  = ['auth_input', 'move_player'];
+const MIN_INTERVAL = 5;
+
+const DEFAULT_ANTI_AFK = {
+  enabled: false,
+  pattern: 'mixed',
+  interval: 45,
+  method: 'auth_input',
+};
+
+// Validates overrides; throws on bad input
+function parseAntiAfk(input = {}) {
+  const out = {};
+  if (input.enabled !== undefined) out.enabled = input.enabled === true || input.enabled === 'true';
+  if (input.pattern !== undefined) {
+    if (!PATTERNS.includes(input.pattern)) throw new Error(`pattern must be one of ${PATTERNS.join(', ')}`);
+    out.pattern = input.pattern;
+  }
+  if (input.interval !== undefined) {
+    const n = Number(input.interval);
+    if (!Number.isFinite(n) || n < MIN_INTERVAL || n > 3600) throw new Error(`interval must be ${MIN_INTERVAL}-3600 seconds`);
+    out.interval = n;
+  }
+  if (input.method !== undefined) {
+    if (!METHODS.includes(input.method)) throw new Error(`method must be one of ${METHODS.join(', ')}`);
+    out.method = input.method;
+  }
+  return out;
+}
+
+function resolveAntiAfk(overrides) {
+  return { ...DEFAULT_ANTI_AFK, ...overrides };
+}
+
+const zero2 = () => ({ x: 0, z: 0 });
+
+function authInput(world, inputData = {}) {
+  world.tick += 1n;
+  return {
+    pitch: world.pitch, yaw: world.yaw, head_yaw: world.yaw,
+    position: world.position,
+    move_vector: zero2(),
+    input_data: inputData,
+    input_mode: 'mouse', play_mode: 'normal', interaction_model: 'crosshair',
+    interact_rotation: { x: world.pitch, z: world.yaw },
+    tick: world.tick,
+    delta: { x: 0, y: 0, z: 0 },
+    analogue_move_vector: zero2(),
+    camera_orientation: { x: 0, y: 0, z: 1 },
+    raw_move_vector: zero2(),
+  };
+}
+
+function movePlayer(world, yOffset = 0) {
+  world.tick += 1n;
+  return {
+    runtime_id: Number(world.runtimeId),
+    position: { ...world.position, y: world.position.y + yOffset },
+    pitch: world.pitch, yaw: world.yaw, head_yaw: world.yaw,
+    mode: 'normal', on_ground: yOffset === 0,
+    ridden_runtime_id: 0,
+    tick: world.tick,
+  };
+}
+
+// Send one input, then (optionally) a release a moment later
+function send(client, world, method, press, release) {
+  const packet = method === 'auth_input' ? 'player_auth_input' : 'move_player';
+  const build  = (step) => method === 'auth_input' ? authInput(world, step.flags) : movePlayer(world, step.yOffset);
+  client.queue(packet, build(press));
+  if (release) setTimeout(() => { try { client.queue(packet, build(release)); } catch (_) {} }, 250);
+}
+
+// Returns a short label for the log
+function act(client, world, config, random = Math.random) {
+  const pattern = config.pattern === 'mixed'
+    ? ['rotate', 'jump', 'sneak'][Math.floor(random() * 3)]
+    : config.pattern;
+
+  if (pattern === 'rotate') {
+    world.yaw = (world.yaw + (random() < 0.5 ? -1 : 1) * (15 + random() * 30) + 360) % 360;
+    world.pitch = Math.max(-30, Math.min(30, world.pitch + (random() * 10 - 5)));
+    send(client, world, config.method, {});
+    return `rotate → yaw ${world.yaw.toFixed(0)}°`;
+  }
+  if (pattern === 'jump') {
+    send(client, world, config.method,
+      { flags: { jumping: true, jump_down: true, start_jumping: true }, yOffset: 0.42 },
+      { flags: {}, yOffset: 0 });
+    return 'jump';
+  }
+  // move_player has no sneak state, so fall back to a head turn
+  if (config.method === 'move_player') return act(client, world, { ...config, pattern: 'rotate' }, random);
+  send(client, world, config.method,
+    { flags: { sneaking: true, sneak_down: true, start_sneaking: true } },
+    { flags: { stop_sneaking: true } });
+  return 'sneak';
+}
+
+// Starts the loop; returns a stop function. onAction(label) / onError(err)
+// let the caller log without this module knowing about accounts.
+function startAntiAfk(client, world, config, { onAction, onError } = {}) {
+  const timer = setInterval(() => {
+    if (!world.runtimeId) return; // start_game not seen yet
+    try {
+      onAction?.(act(client, world, config));
+    } catch (err) {
+      onError?.(err);
+    }
+  }, config.interval * 1000);
+  return () => clearInterval(timer);
+}
+
+module.exports = { DEFAULT_ANTI_AFK, parseAntiAfk, resolveAntiAfk, startAntiAfk };
@@ -0,0 +1,115 @@
+// ─────────────────────────────────────────────
+//  Dashboard / REST authentication
+//
+//  DASHBOARD_USERS — comma list of user:password:role
+//    e.g. "owner:hunter2:admin,friend:pass:viewer"
+//  API_TOKENS      — comma list of token:role for
+//    scripts, sent as "Authorization: Bearer <token>"
+//
+//  Roles: admin  — everything
+//         viewer — read-only, no device codes
+//
+//  With neither variable set, auth is disabled and
+//  every request is treated as admin.
+// ─────────────────────────────────────────────
+const crypto = require('crypto');
+
+const ROLES = ['viewer', 'admin']; // ascending privilege
+const SESSION_COOKIE = 'donut_session';
+const SESSION_TTL    = 7 * 24 * 60 * 60 * 1000;
+
+function parseList(value, fields) {
+  return (value || '').split(',').map(s => s.trim()).filter(Boolean).map(item => {
+    const parts = item.split(':');
+    const role  = parts.pop();
+    if (!ROLES.includes(role) || parts.length !== fields) {
+      throw new Error(`Invalid auth entry "${item}" — expected ${fields === 2 ? 'user:password' : 'token'}:role`);
+    }
+    return { parts, role };
+  });
+}
+
+const USERS  = parseList(process.env.DASHBOARD_USERS, 2).map(({ parts: [username, password], role }) => ({ username, password, role }));
+const TOKENS = parseList(process.env.API_TOKENS, 1).map(({ parts: [token], role }) => ({ token, role }));
+
+const AUTH_ENABLED = USERS.length > 0 || TOKENS.length > 0;
+
+const sessions = new Map(); // session id -> { username, role, expires }
+
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+function parseCookies(header = '') {
+  const out = {};
+  for (const pair of header.split(';')) {
+    const i = pair.indexOf('=');
+    if (i > 0) out[pair.slice(0, i).trim()] = decodeURIComponent(pair.slice(i + 1).trim());
+  }
+  return out;
+}
+
+// Returns a new session id, or null on bad credentials
+function login(username, password) {
+  const user = USERS.find(u => safeEqual(u.username, username) && safeEqual(u.password, password));
+  if (!user) return null;
+  const id = crypto.randomBytes(32).toString('hex');
+  sessions.set(id, { username: user.username, role: user.role, expires: Date.now() + SESSION_TTL });
+  return id;
+}
+
+function logout(req) {
+  const id = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (id) sessions.delete(id);
+}
+
+function resolveUser(req) {
+  if (!AUTH_ENABLED) return { username: 'anonymous', role: 'admin' };
+
+  const bearer = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (bearer) {
+    const t = TOKENS.find(t => safeEqual(t.token, bearer[1]));
+    return t ? { username: 'api-token', role: t.role } : null;
+  }
+
+  const id = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  const session = id && sessions.get(id);
+  if (!session) return null;
+  if (session.expires < Date.now()) { sessions.delete(id); return null; }
+  return { username: session.username, role: session.role };
+}
+
+// Express middleware — attaches req.user (or null)
+function authenticate(req, res, next) {
+  req.user = resolveUser(req);
+  next();
+}
+
+function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: 'Login required' });
+    if (!hasRole(req.user, role)) return res.status(403).json({ error: `${role} role required` });
+    next();
+  };
+}
+
+function sessionCookie(id, req) {
+  const secure = req.secure ? '; Secure' : '';
+  return `${SESSION_COOKIE}=${id}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${SESSION_TTL / 1000}${secure}`;
+}
+
+function clearedCookie() {
+  return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`;
+}
+
+module.exports = {
+  AUTH_ENABLED, ROLES,
+  login, logout, authenticate, requireRole, hasRole,
+  sessionCookie, clearedCookie,
+};
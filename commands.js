@@ -0,0 +1,285 @@
+// ─────────────────────────────────────────────
+//  Slash command registry — the one list of
+//  commands. server.js registers it on startup
+//  (and has a handler per name); register-commands.js
+//  is the manual fallback.
+//
+//  Sync targets:
+//    { global: true }       — application-wide commands
+//                             (can take a while to appear)
+//    { guilds: ['id', ..] } — per-server, instant
+//  Each target is only PUT when its commands differ
+//  from what Discord already has.
+// ─────────────────────────────────────────────
+const crypto = require('crypto');
+const { REST, Routes, SlashCommandBuilder, ChannelType, PermissionFlagsBits } = require('discord.js');
+
+const COMMANDS = [
+  new SlashCommandBuilder()
+    .setName('connect')
+    .setDescription('Connect a Minecraft bot account to donutsmp.net')
+    .addStringOption(o =>
+      o.setName('account').setDescription('Account label (e.g. alt@outlook.com)').setAutocomplete(true).setRequired(true))
+    .addStringOption(o =>
+      o.setName('host').setDescription('Server host (default donutsmp.net)'))
+    .addIntegerOption(o =>
+      o.setName('port').setDescription('Server port (default 19132)').setMinValue(1).setMaxValue(65535))
+    .addStringOption(o =>
+      o.setName('username').setDescription('In-game display username'))
+    .addStringOption(o =>
+      o.setName('version').setDescription('Bedrock protocol version (e.g. 1.21.50)'))
+    .addStringOption(o =>
+      o.setName('auth').setDescription('Authentication mode')
+        .addChoices({ name: 'Microsoft', value: 'microsoft' }, { name: 'Offline', value: 'offline' })),
+
+  new SlashCommandBuilder()
+    .setName('disconnect')
+    .setDescription('Disconnect a Minecraft bot account')
+    .addStringOption(o =>
+      o.setName('account').setDescription('Account label').setAutocomplete(true).setRequired(true)),
+
+  new SlashCommandBuilder()
+    .setName('chat')
+    .setDescription('Send a message or command in-game')
+    .addStringOption(o =>
+      o.setName('account').setDescription('Account label').setAutocomplete(true).setRequired(true))
+    .addStringOption(o =>
+      o.setName('message').setDescription('Message or /command to send').setRequired(true)),
+
+  new SlashCommandBuilder()
+    .setName('status')
+    .setDescription('Show the status of all active bot sessions'),
+
+  new SlashCommandBuilder()
+    .setName('panel')
+    .setDescription('Post the self-updating status panel with account buttons in this channel'),
+
+  new SlashCommandBuilder()
+    .setName('stats')
+    .setDescription('Show uptime and session statistics')
+    .addStringOption(o =>
+      o.setName('account').setDescription('Account label (default: all)').setAutocomplete(true)),
+
+  new SlashCommandBuilder()
+    .setName('group')
+    .setDescription('Manage named account groups')
+    .addSubcommand(s => s
+      .setName('set')
+      .setDescription('Create or replace a group')
+      .addStringOption(o =>
+        o.setName('name').setDescription('Group name (e.g. farm)').setRequired(true))
+      .addStringOption(o =>
+        o.setName('accounts').setDescription('Comma-separated account labels').setRequired(true)))
+    .addSubcommand(s => s
+      .setName('delete')
+      .setDescription('Delete a group')
+      .addStringOption(o =>
+        o.setName('name').setDescription('Group name').setRequired(true)))
+    .addSubcommand(s => s
+      .setName('list')
+      .setDescription('List groups')),
+
+  new SlashCommandBuilder()
+    .setName('bulk')
+    .setDescription('Run an action on a group or every account')
+    .addSubcommand(s => s
+      .setName('connect')
+      .setDescription('Connect every account, staggered')
+      .addStringOption(o =>
+        o.setName('target').setDescription('Group name or "all" (default: all)').setAutocomplete(true)))
+    .addSubcommand(s => s
+      .setName('disconnect')
+      .setDescription('Disconnect every account')
+      .addStringOption(o =>
+        o.setName('target').setDescription('Group name or "all" (default: all)').setAutocomplete(true)))
+    .addSubcommand(s => s
+      .setName('chat')
+      .setDescription('Send a message or command from every online account')
+      .addStringOption(o =>
+        o.setName('message').setDescription('Message or /command to send').setRequired(true))
+      .addStringOption(o =>
+        o.setName('target').setDescription('Group name or "all" (default: all)').setAutocomplete(true)))
+    .addSubcommand(s => s
+      .setName('reconnect')
+      .setDescription('Turn auto-reconnect on or off for every account')
+      .addBooleanOption(o =>
+        o.setName('enabled').setDescription('Turn auto-reconnect on or off').setRequired(true))
+      .addStringOption(o =>
+        o.setName('target').setDescription('Group name or "all" (default: all)').setAutocomplete(true))),
+
+  new SlashCommandBuilder()
+    .setName('balance')
+    .setDescription('Show tracked balance and daily earnings')
+    .addStringOption(o =>
+      o.setName('account').setDescription('Account label (default: all)').setAutocomplete(true)),
+
+  new SlashCommandBuilder()
+    .setName('inventory')
+    .setDescription('Show an account\'s inventory')
+    .addStringOption(o =>
+      o.setName('account').setDescription('Account label').setAutocomplete(true).setRequired(true)),
+
+  new SlashCommandBuilder()
+    .setName('where')
+    .setDescription('Show position, health and nearby players')
+    .addStringOption(o =>
+      o.setName('account').setDescription('Account label (default: all)').setAutocomplete(true)),
+
+  new SlashCommandBuilder()
+    .setName('reconnect')
+    .setDescription('Toggle or check auto-reconnect for an account')
+    .addStringOption(o =>
+      o.setName('account').setDescription('Account label').setAutocomplete(true).setRequired(true))
+    .addBooleanOption(o =>
+      o.setName('enabled').setDescription('Turn auto-reconnect on or off').setRequired(true)),
+
+  new SlashCommandBuilder()
+    .setName('bridge')
+    .setDescription('Bridge an account\'s in-game chat to a channel or thread (omit channel to remove)')
+    .addStringOption(o =>
+      o.setName('account').setDescription('Account label').setAutocomplete(true).setRequired(true))
+    .addChannelOption(o =>
+      o.setName('channel').setDescription('Channel or thread to bridge to')
+        .addChannelTypes(ChannelType.GuildText, ChannelType.PublicThread, ChannelType.PrivateThread)),
+
+  new SlashCommandBuilder()
+    .setName('alert')
+    .setDescription('Manage chat keyword alerts')
+    .addSubcommand(s => s
+      .setName('add')
+      .setDescription('Add an alert rule')
+      .addStringOption(o =>
+        o.setName('name').setDescription('Rule name').setRequired(true))
+      .addStringOption(o =>
+        o.setName('pattern').setDescription('Regex matched against "<sender> message"').setRequired(true))
+      .addStringOption(o =>
+        o.setName('action').setDescription('What to do when it matches').setRequired(true)
+          .addChoices(
+            { name: 'Ping a role',       value: 'ping-role' },
+            { name: 'Ping a user',       value: 'ping-user' },
+            { name: 'DM a user',         value: 'dm' },
+            { name: 'Auto-reply in-game', value: 'reply' },
+          ))
+      .addStringOption(o =>
+        o.setName('target').setDescription('Role or user ID (ping/DM actions)'))
+      .addStringOption(o =>
+        o.setName('reply').setDescription('In-game reply — {sender} and {message} are substituted'))
+      .addStringOption(o =>
+        o.setName('accounts').setDescription('Comma-separated account labels (default: all)'))
+      .addIntegerOption(o =>
+        o.setName('cooldown').setDescription('Seconds between triggers per account (default 60)').setMinValue(0).setMaxValue(86400)))
+    .addSubcommand(s => s
+      .setName('list')
+      .setDescription('List alert rules'))
+    .addSubcommand(s => s
+      .setName('remove')
+      .setDescription('Remove an alert rule')
+      .addStringOption(o =>
+        o.setName('id').setDescription('Rule ID from /alert list').setRequired(true))),
+
+  new SlashCommandBuilder()
+    .setName('auth')
+    .setDescription('Microsoft sign-in codes and cached tokens')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand(s => s
+      .setName('status')
+      .setDescription('Pending sign-in codes and cached tokens for every account'))
+    .addSubcommand(s => s
+      .setName('code')
+      .setDescription('Show an account\'s pending sign-in code (only you can see it)')
+      .addStringOption(o =>
+        o.setName('account').setDescription('Account label').setAutocomplete(true).setRequired(true)))
+    .addSubcommand(s => s
+      .setName('forget')
+      .setDescription('Delete an account\'s cached Microsoft token')
+      .addStringOption(o =>
+        o.setName('account').setDescription('Account label').setAutocomplete(true).setRequired(true)))
+    .addSubcommand(s => s
+      .setName('reauth')
+      .setDescription('Forget the token and sign in again with a new code')
+      .addStringOption(o =>
+        o.setName('account').setDescription('Account label').setAutocomplete(true).setRequired(true))),
+
+  new SlashCommandBuilder()
+    .setName('notify')
+    .setDescription('Choose where this server gets bot notifications')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand(s => s
+      .setName('set')
+      .setDescription('Send this server\'s notifications to a channel')
+      .addChannelOption(o =>
+        o.setName('channel').setDescription('Channel or thread').setRequired(true)
+          .addChannelTypes(ChannelType.GuildText, ChannelType.PublicThread, ChannelType.PrivateThread)))
+    .addSubcommand(s => s
+      .setName('off')
+      .setDescription('Stop notifications in this server'))
+    .addSubcommand(s => s
+      .setName('show')
+      .setDescription('Show the notification channel for every server')),
+];
+
+const definitions = () => COMMANDS.map(c => c.toJSON());
+const names = () => COMMANDS.map(c => c.name);
+
+// Discord echoes commands back with ids, versions and defaults filled in;
+// keep only what we define so local and remote compare equal
+function normalize(cmd) {
+  const opt = (o) => ({
+    type: o.type, name: o.name, description: o.description,
+    required: !!o.required, autocomplete: !!o.autocomplete,
+    choices: o.choices?.map(c => ({ name: c.name, value: c.value })) ?? [],
+    channel_types: [...(o.channel_types ?? [])].sort(),
+    min_value: o.min_value ?? null, max_value: o.max_value ?? null,
+    options: (o.options ?? []).map(opt),
+  });
+  return {
+    name: cmd.name, description: cmd.description,
+    default_member_permissions: cmd.default_member_permissions ?? null,
+    options: (cmd.options ?? []).map(opt),
+  };
+}
+
+const fingerprint = (list) => crypto.createHash('sha256')
+  .update(JSON.stringify(list.map(normalize).sort((a, b) => a.name.localeCompare(b.name))))
+  .digest('hex');
+
+// Returns [{ scope, changed, added, removed, updated }] — one per target.
+// `desired` is [] for scopes that should be cleared (e.g. old guild
+// commands after switching to global, so nothing shows up twice).
+async function syncScope(rest, route, scope, desired) {
+  const current = await rest.get(route);
+  const want = fingerprint(desired);
+  if (fingerprint(current) === want) return { scope, changed: false };
+
+  const before = new Map(current.map(c => [c.name, fingerprint([c])]));
+  const after  = new Map(desired.map(c => [c.name, fingerprint([c])]));
+  const added   = [...after.keys()].filter(n => !before.has(n));
+  const removed = [...before.keys()].filter(n => !after.has(n));
+  const updated = [...after.keys()].filter(n => before.has(n) && before.get(n) !== after.get(n));
+
+  await rest.put(route, { body: desired });
+  return { scope, changed: true, added, removed, updated };
+}
+
+async function syncCommands({ token, clientId, global = false, guilds = [] }) {
+  const rest = new REST({ version: '10' }).setToken(token);
+  const desired = definitions();
+  const results = [];
+  if (global) results.push(await syncScope(rest, Routes.applicationCommands(clientId), 'global', desired));
+  for (const guildId of guilds) {
+    results.push(await syncScope(rest, Routes.applicationGuildCommands(clientId, guildId), `guild ${guildId}`, global ? [] : desired));
+  }
+  return results;
+}
+
+function describeSync(r) {
+  if (!r.changed) return `${r.scope}: up to date`;
+  const parts = [
+    r.added.length   && `+${r.added.join(', +')}`,
+    r.removed.length && `-${r.removed.join(', -')}`,
+    r.updated.length && `~${r.updated.join(', ~')}`,
+  ].filter(Boolean);
+  return `${r.scope}: ${parts.join(' ') || 'reordered'}`;
+}
+
+module.exports = { definitions, names, syncCommands, describeSync };
@@ -0,0 +1,112 @@
+// ─────────────────────────────────────────────
+//  Discord status panel — message payloads only;
+//  server.js posts/edits them and handles clicks.
+//
+//  Component custom IDs are `panel:<action>:<account>`
+//    action: connect | disconnect | autorc | chat
+//            | pick (select menu for accounts that
+//              don't fit in the button rows)
+//  The chat modal is `panel-chat:<account>`.
+// ─────────────────────────────────────────────
+const {
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+} = require('discord.js');
+
+const STATUS_ICONS = { Online: '🟢', Connecting: '🟡', 'Auth Required': '🔵', Error: '🔴', Offline: '⚫' };
+const ACTIVE       = ['Connecting', 'Online', 'Auth Required'];
+const BUTTON_ROWS  = 4;   // Discord allows 5 rows; the last is kept for the overflow select
+const MAX_LISTED   = 25;  // select menu option limit
+const ID_MAX       = 100; // custom_id length limit
+
+const icon = (status) => STATUS_ICONS[status] ?? '⚫';
+
+function customId(action, email) {
+  const id = `panel:${action}:${email}`;
+  return id.length <= ID_MAX ? id : null;
+}
+
+function parseCustomId(id = '') {
+  let m = /^panel-chat:(.+)$/.exec(id);
+  if (m) return { action: 'chat-submit', email: m[1] };
+  m = /^panel:([a-z]+):(.+)$/.exec(id);
+  return m ? { action: m[1], email: m[2] } : null;
+}
+
+// One row of buttons for an account: label, connect, disconnect, auto-RC, chat
+function accountRow(a) {
+  const active = ACTIVE.includes(a.status);
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(customId('label', a.email)).setStyle(ButtonStyle.Secondary)
+      .setLabel(`${icon(a.status)} ${a.email}`.slice(0, 80)).setDisabled(true),
+    new ButtonBuilder().setCustomId(customId('connect', a.email)).setStyle(ButtonStyle.Success)
+      .setLabel('Connect').setDisabled(active),
+    new ButtonBuilder().setCustomId(customId('disconnect', a.email)).setStyle(ButtonStyle.Danger)
+      .setLabel('Disconnect').setDisabled(!active && !a.reconnecting),
+    new ButtonBuilder().setCustomId(customId('autorc', a.email))
+      .setStyle(a.autoReconnect ? ButtonStyle.Primary : ButtonStyle.Secondary)
+      .setLabel(`Auto-RC ${a.autoReconnect ? 'ON' : 'OFF'}`),
+    new ButtonBuilder().setCustomId(customId('chat', a.email)).setStyle(ButtonStyle.Secondary)
+      .setLabel('💬').setDisabled(a.status !== 'Online'),
+  );
+}
+
+// accounts: [{ email, status, autoReconnect, reconnectAttempts, reconnecting }]
+function buildPanel(accounts) {
+  const online = accounts.filter(a => a.status === 'Online').length;
+  const lines = accounts.slice(0, 50).map(a =>
+    `${icon(a.status)} **${a.email}** — ${a.status}` +
+    `${a.reconnecting ? ' · reconnecting' : ''} · auto-RC ${a.autoReconnect ? 'ON' : 'OFF'}`);
+  if (accounts.length > 50) lines.push(`…and ${accounts.length - 50} more`);
+
+  const embed = new EmbedBuilder()
+    .setTitle(`📊 Bot Status — ${online}/${accounts.length} online`)
+    .setDescription((lines.join('\n') || 'No accounts yet — use `/connect`.').slice(0, 4000))
+    .setColor(online === accounts.length && online ? 0x00ff87 : online ? 0xffb830 : 0x5865f2)
+    .setTimestamp()
+    .setFooter({ text: 'DonutSMP Bot Manager · updates automatically' });
+
+  // Accounts whose custom IDs would be too long can only be reached by slash command
+  const usable = accounts.filter(a => customId('disconnect', a.email));
+  const components = usable.slice(0, BUTTON_ROWS).map(accountRow);
+  const rest = usable.slice(BUTTON_ROWS, BUTTON_ROWS + MAX_LISTED);
+  if (rest.length) {
+    components.push(new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId('panel:pick:more')
+        .setPlaceholder(`More accounts (${usable.length - BUTTON_ROWS})…`)
+        .addOptions(rest.map(a => ({
+          label: a.email.slice(0, 100), value: a.email, emoji: icon(a.status),
+          description: `${a.status} · auto-RC ${a.autoReconnect ? 'ON' : 'OFF'}`,
+        }))),
+    ));
+  }
+  return { embeds: [embed], components };
+}
+
+// Ephemeral controls for one account picked from the select menu
+function buildControls(account) {
+  return { content: `Controls for \`${account.email}\``, components: [accountRow(account)] };
+}
+
+function buildChatModal(email) {
+  return new ModalBuilder()
+    .setCustomId(`panel-chat:${email}`.slice(0, ID_MAX))
+    .setTitle(`Chat as ${email}`.slice(0, 45))
+    .addComponents(new ActionRowBuilder().addComponents(
+      new TextInputBuilder()
+        .setCustomId('message')
+        .setLabel('Message or /command')
+        .setStyle(TextInputStyle.Short)
+        .setMaxLength(256)
+        .setRequired(true),
+    ));
+}
+
+module.exports = { STATUS_ICONS, parseCustomId, buildPanel, buildControls, buildChatModal };
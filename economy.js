@@ -0,0 +1,177 @@
+// ─────────────────────────────────────────────
+//  Balance & payment tracking from chat
+//
+//  Config (stored per account as overrides):
+//  {
+//    balancePattern:    regex for the /bal reply
+//    paymentInPattern:  regex for money received
+//    paymentOutPattern: regex for money sent
+//    balanceCommand:    sent to poll the balance   ('/bal')
+//    pollMinutes:       0 = never poll              (0)
+//  }
+//  Patterns are case-insensitive and matched against
+//  server (sender-less) lines only, so a player can't
+//  fake a payment by typing it in chat. They need a
+//  named `amount` group; payments may add `player`.
+//
+//  Amounts accept commas and K/M/B/T suffixes.
+//  Daily buckets are keyed by UTC date.
+// ─────────────────────────────────────────────
+const DAY_MS       = 24 * 60 * 60 * 1000;
+const KEEP_HISTORY = 200;
+const KEEP_DAYS    = 30;
+const NUMBER       = '[\\d,]+(?:\\.\\d+)?[KMBT]?';
+const AMOUNT       = `\\$?(?<amount>${NUMBER})`;
+
+const DEFAULT_ECONOMY = {
+  // "You have …" is only a balance with a $ or the word money/balance —
+  // "You have 5 homes" is not
+  balancePattern:    `^(?:your )?(?:balance|money)(?: is)?:? ${AMOUNT}` +
+                     `|^you have (?:\\$(?<amount2>${NUMBER})|(?<amount3>${NUMBER}) (?:money|balance)\\b)`,
+  paymentInPattern:  `(?<player>\\w+) (?:paid|sent) you ${AMOUNT}`,
+  paymentOutPattern: `you (?:paid|sent) (?<player>\\w+) ${AMOUNT}`,
+  balanceCommand: '/bal',
+  pollMinutes: 0,
+};
+
+const PATTERN_FIELDS = ['balancePattern', 'paymentInPattern', 'paymentOutPattern'];
+
+// Validates overrides; throws on bad input
+function parseEconomy(input = {}) {
+  const out = {};
+  for (const field of PATTERN_FIELDS) {
+    if (input[field] === undefined) continue;
+    const pattern = String(input[field]);
+    try { new RegExp(pattern, 'i'); } catch (err) { throw new Error(`${field}: ${err.message}`); }
+    if (!pattern.includes('(?<amount')) throw new Error(`${field} needs a named group (?<amount>...)`);
+    out[field] = pattern;
+  }
+  if (input.balanceCommand !== undefined) {
+    const cmd = String(input.balanceCommand).trim();
+    if (!cmd.startsWith('/')) throw new Error('balanceCommand must start with /');
+    out.balanceCommand = cmd;
+  }
+  if (input.pollMinutes !== undefined) {
+    const n = Number(input.pollMinutes);
+    if (!Number.isFinite(n) || n < 0 || n > 1440) throw new Error('pollMinutes must be 0-1440');
+    out.pollMinutes = n;
+  }
+  return out;
+}
+
+function resolveEconomy(overrides) {
+  return { ...DEFAULT_ECONOMY, ...overrides };
+}
+
+// '1,234.5' -> 1234.5, '2.5M' -> 2500000
+const SUFFIX = { K: 1e3, M: 1e6, B: 1e9, T: 1e12 };
+function parseAmount(text) {
+  const m = /^([\d,]+(?:\.\d+)?)([KMBT]?)$/i.exec(String(text).trim());
+  if (!m) return null;
+  return Number(m[1].replace(/,/g, '')) * (SUFFIX[m[2].toUpperCase()] || 1);
+}
+
+function formatMoney(n) {
+  if (n === null || n === undefined) return '?';
+  const sign = n < 0 ? '-' : '';
+  const abs = Math.abs(n);
+  for (const [s, v] of [['T', 1e12], ['B', 1e9], ['M', 1e6], ['K', 1e3]]) {
+    if (abs >= v) return `${sign}$${(abs / v).toFixed(2).replace(/\.?0+$/, '')}${s}`;
+  }
+  return `${sign}$${abs.toFixed(2).replace(/\.00$/, '')}`;
+}
+
+const compiled = new Map();
+function regex(pattern) {
+  if (!compiled.has(pattern)) compiled.set(pattern, new RegExp(pattern, 'i'));
+  return compiled.get(pattern);
+}
+
+// Returns { type: 'balance', amount } | { type: 'payment', amount (signed), player } | null
+function matchLine(config, line) {
+  const read = (pattern) => {
+    const m = regex(pattern).exec(line);
+    if (!m?.groups) return null;
+    const amount = parseAmount(m.groups.amount ?? m.groups.amount2 ?? m.groups.amount3 ?? '');
+    return amount === null ? null : { amount, player: m.groups.player || null };
+  };
+  let m;
+  if ((m = read(config.balancePattern)))    return { type: 'balance', amount: m.amount };
+  if ((m = read(config.paymentInPattern)))  return { type: 'payment', amount: m.amount, player: m.player };
+  if ((m = read(config.paymentOutPattern))) return { type: 'payment', amount: -m.amount, player: m.player };
+  return null;
+}
+
+function createLedger(saved = {}) {
+  return {
+    balance:   saved.balance ?? null,
+    updatedAt: saved.updatedAt ?? null,
+    history:   saved.history || [],  // { time, balance, delta, reason, player? }
+    daily:     saved.daily   || {},  // 'YYYY-MM-DD' -> net change
+  };
+}
+
+const dayKey = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+function addChange(ledger, entry) {
+  ledger.history.push(entry);
+  if (ledger.history.length > KEEP_HISTORY) ledger.history.shift();
+  const key = dayKey(entry.time);
+  ledger.daily[key] = (ledger.daily[key] || 0) + entry.delta;
+  const keys = Object.keys(ledger.daily).sort();
+  for (const k of keys.slice(0, Math.max(0, keys.length - KEEP_DAYS))) delete ledger.daily[k];
+}
+
+// Applies a matchLine() result; returns the history entry, or null if
+// nothing changed (first reading, or same balance as before)
+function record(ledger, event, now = Date.now()) {
+  const before = ledger.balance;
+  ledger.updatedAt = now;
+
+  if (event.type === 'balance') {
+    ledger.balance = event.amount;
+    if (before === null || before === event.amount) return null;
+    const entry = { time: now, balance: event.amount, delta: event.amount - before, reason: 'balance' };
+    addChange(ledger, entry);
+    return entry;
+  }
+
+  ledger.balance = before === null ? null : before + event.amount;
+  const entry = { time: now, balance: ledger.balance, delta: event.amount, reason: 'payment', player: event.player };
+  addChange(ledger, entry);
+  return entry;
+}
+
+function summarizeLedger(ledger, now = Date.now(), days = 14) {
+  const earningsByDay = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const date = dayKey((Math.floor(now / DAY_MS) - i) * DAY_MS);
+    earningsByDay.push({ date, net: ledger.daily[date] || 0 });
+  }
+  return {
+    balance: ledger.balance,
+    updatedAt: ledger.updatedAt,
+    today: earningsByDay[earningsByDay.length - 1].net,
+    week: earningsByDay.slice(-7).reduce((a, d) => a + d.net, 0),
+    earningsByDay,
+    recent: ledger.history.slice(-20),
+  };
+}
+
+function serializeLedger(ledger) {
+  const { balance, updatedAt, history, daily } = ledger;
+  return { balance, updatedAt, history, daily };
+}
+
+// Sends the balance command now-ish and every pollMinutes; returns a stop function
+function startBalancePoll(send, config) {
+  if (!config.pollMinutes) return () => {};
+  const first = setTimeout(send, 10000); // let spawn scripts go first
+  const timer = setInterval(send, config.pollMinutes * 60000);
+  return () => { clearTimeout(first); clearInterval(timer); };
+}
+
+module.exports = {
+  DEFAULT_ECONOMY, parseEconomy, resolveEconomy, parseAmount, formatMoney,
+  matchLine, createLedger, record, summarizeLedger, serializeLedger, startBalancePoll,
+};
@@ -0,0 +1,58 @@
+// ─────────────────────────────────────────────
+//  Account groups for bulk operations
+//
+//  { farm: ['alt1@outlook.com', 'alt2@outlook.com'],
+//    shop: ['Shop1'] }
+//
+//  'all' is reserved — it always targets every
+//  known account, so it can't be redefined.
+// ─────────────────────────────────────────────
+const store = require('./store');
+
+const NAME_RE    = /^[a-z0-9_-]{1,32}$/i;
+const MAX_GROUPS = 50;
+
+function getGroups() {
+  return store.get('groups', {});
+}
+
+// Replaces a group's members; an empty list deletes it. Throws on bad input.
+function setGroup(name, accounts) {
+  name = String(name ?? '').trim().toLowerCase();
+  if (!NAME_RE.test(name)) throw new Error('group name must be 1-32 letters, digits, - or _');
+  if (name === 'all') throw new Error("'all' is reserved");
+
+  if (typeof accounts === 'string') accounts = accounts.split(',');
+  if (!Array.isArray(accounts)) throw new Error('accounts must be an array');
+  accounts = [...new Set(accounts.map(a => String(a).trim()).filter(Boolean))];
+
+  const groups = { ...getGroups() };
+  if (!accounts.length) {
+    delete groups[name];
+  } else {
+    if (!groups[name] && Object.keys(groups).length >= MAX_GROUPS) throw new Error(`at most ${MAX_GROUPS} groups`);
+    groups[name] = accounts;
+  }
+  store.set('groups', groups);
+  return groups[name] || [];
+}
+
+function deleteGroup(name) {
+  const groups = { ...getGroups() };
+  name = String(name ?? '').trim().toLowerCase();
+  if (!groups[name]) return false;
+  delete groups[name];
+  store.set('groups', groups);
+  return true;
+}
+
+// 'all' or a group name -> account labels. Throws if the group doesn't exist.
+function resolveTarget(target, allAccounts) {
+  const name = String(target ?? '').trim().toLowerCase();
+  if (!name || name === 'all') return [...allAccounts];
+  const members = getGroups()[name];
+  if (!members) throw new Error(`unknown group '${name}'`);
+  return [...members];
+}
+
+module.exports = { getGroups, setGroup, deleteGroup, resolveTarget };
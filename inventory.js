@@ -0,0 +1,66 @@
+// ─────────────────────────────────────────────
+//  Inventory mirror per session, built from
+//  inventory_content (full window) and
+//  inventory_slot (single slot) packets.
+//
+//  Items arrive as network ids; the id -> name
+//  table comes from item_registry (1.21.60+) or
+//  start_game.itemstates on older protocols.
+// ─────────────────────────────────────────────
+const WINDOWS = ['inventory', 'armor', 'offhand'];
+
+function createInventory() {
+  return {
+    names: new Map(),  // network id -> 'diamond'
+    windows: Object.fromEntries(WINDOWS.map(w => [w, []])),
+    updatedAt: null,
+  };
+}
+
+const toSlot = (item) => item && item.network_id !== 0
+  ? { id: item.network_id, count: item.count }
+  : null;
+
+function trackInventory(client, inv) {
+  const learnNames = (itemstates = []) => {
+    for (const s of itemstates) inv.names.set(s.runtime_id, s.name.replace(/^minecraft:/, ''));
+  };
+  client.on('start_game', (p) => learnNames(p.itemstates));
+  client.on('item_registry', (p) => learnNames(p.itemstates));
+
+  client.on('inventory_content', (p) => {
+    if (!WINDOWS.includes(p.window_id)) return; // chests, crafting grids etc.
+    inv.windows[p.window_id] = p.input.map(toSlot);
+    inv.updatedAt = Date.now();
+  });
+
+  client.on('inventory_slot', (p) => {
+    if (!WINDOWS.includes(p.window_id)) return;
+    inv.windows[p.window_id][p.slot] = toSlot(p.item);
+    inv.updatedAt = Date.now();
+  });
+}
+
+// JSON-safe view for /inventory, REST and the dashboard
+function summarizeInventory(inv) {
+  if (!inv?.updatedAt) return null;
+  const name = (id) => inv.names.get(id) ?? `item #${id}`;
+  const slots = [];
+  const totals = new Map();
+  for (const window of WINDOWS) {
+    inv.windows[window].forEach((s, slot) => {
+      if (!s) return;
+      slots.push({ window, slot, name: name(s.id), count: s.count });
+      totals.set(name(s.id), (totals.get(name(s.id)) || 0) + s.count);
+    });
+  }
+  return {
+    updatedAt: inv.updatedAt,
+    used: slots.filter(s => s.window === 'inventory').length,
+    size: inv.windows.inventory.length,
+    slots,
+    totals: [...totals].map(([n, count]) => ({ name: n, count })).sort((a, b) => b.count - a.count),
+  };
+}
+
+module.exports = { createInventory, trackInventory, summarizeInventory };
@@ -0,0 +1,189 @@
+// ─────────────────────────────────────────────
+//  Structured log storage
+//
+//  Entry: { ts: ISO-8601, level, category, account,
+//           message, sensitive? }
+//    level:    debug | info | warn | error
+//    category: chat       — incoming game chat
+//              auth       — Microsoft sign-in
+//              connection — connect / disconnect / reconnect
+//              command    — anything sent into the game
+//              system     — settings, world, economy, alerts
+//
+//  Written as JSON Lines to DATA_DIR/logs/bot.log,
+//  rotated by size: bot.log -> bot.1.log -> ... up to
+//  LOG_MAX_FILES. Writes are batched once a second.
+//
+//  Env: LOG_MAX_BYTES (default 5 MB per file),
+//       LOG_MAX_FILES (default 5 rotated files)
+// ─────────────────────────────────────────────
+const fs    = require('fs');
+const path  = require('path');
+const store = require('./store');
+
+const LOG_DIR   = path.join(store.DATA_DIR, 'logs');
+const MAX_BYTES = Number(process.env.LOG_MAX_BYTES) || 5 * 1024 * 1024;
+const MAX_FILES = Number(process.env.LOG_MAX_FILES) || 5;
+const FLUSH_MS  = 1000;
+const CHUNK     = 64 * 1024;
+
+const LEVELS     = ['debug', 'info', 'warn', 'error'];
+const CATEGORIES = ['chat', 'auth', 'connection', 'command', 'system'];
+const MAX_LIMIT  = 1000;
+const MAX_EXPORT = 100000;
+
+const fileName = (i) => path.join(LOG_DIR, i ? `bot.${i}.log` : 'bot.log');
+
+let buffer = [];
+let flushTimer = null;
+
+function createEntry(account, message, { level = 'info', category = 'system', sensitive = false } = {}) {
+  const entry = { ts: new Date().toISOString(), level, category, account, message };
+  if (sensitive) entry.sensitive = true;
+  return entry;
+}
+
+function write(entry) {
+  buffer.push(JSON.stringify(entry));
+  if (!flushTimer) {
+    flushTimer = setTimeout(flush, FLUSH_MS);
+    flushTimer.unref();
+  }
+}
+
+// bot.log -> bot.1.log, bot.1.log -> bot.2.log, ... oldest falls off the end
+function rotate() {
+  for (let i = MAX_FILES; i >= 1; i--) {
+    try { fs.renameSync(fileName(i - 1), fileName(i)); } catch (_) {}
+  }
+}
+
+function flush() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (!buffer.length) return;
+  const data = buffer.join('\n') + '\n';
+  buffer = [];
+  try {
+    fs.mkdirSync(LOG_DIR, { recursive: true });
+    let size = 0;
+    try { size = fs.statSync(fileName(0)).size; } catch (_) {}
+    if (size && size + data.length > MAX_BYTES) rotate();
+    fs.appendFileSync(fileName(0), data);
+  } catch (err) {
+    console.error(`❌ Failed to write logs: ${err.message}`);
+  }
+}
+
+process.on('exit', flush);
+
+// Validates GET /logs query params; throws on bad input
+function parseFilters(q = {}) {
+  const list = (v) => String(v).split(',').map(s => s.trim()).filter(Boolean);
+  const time = (v, field) => {
+    const ms = /^\d+$/.test(v) ? Number(v) : Date.parse(v);
+    if (!Number.isFinite(ms)) throw new Error(`${field} must be an ISO date or epoch ms`);
+    return ms;
+  };
+  const f = {};
+  if (q.account)  f.accounts = list(q.account);
+  if (q.level) {
+    if (!LEVELS.includes(q.level)) throw new Error(`level must be one of ${LEVELS.join(', ')}`);
+    f.minLevel = LEVELS.indexOf(q.level);
+  }
+  if (q.category) {
+    f.categories = list(q.category);
+    const bad = f.categories.find(c => !CATEGORIES.includes(c));
+    if (bad) throw new Error(`unknown category '${bad}' — use ${CATEGORIES.join(', ')}`);
+  }
+  if (q.q)    f.text = String(q.q).toLowerCase();
+  if (q.from) f.from = time(q.from, 'from');
+  if (q.to)   f.to   = time(q.to, 'to');
+  f.offset = Math.max(0, Math.floor(Number(q.offset) || 0));
+  f.limit  = Math.min(MAX_LIMIT, Math.max(1, Math.floor(Number(q.limit) || 100)));
+  return f;
+}
+
+function matches(e, f) {
+  if (f.accounts && !f.accounts.includes(e.account)) return false;
+  if (f.minLevel !== undefined && LEVELS.indexOf(e.level) < f.minLevel) return false;
+  if (f.categories && !f.categories.includes(e.category)) return false;
+  if (f.from !== undefined || f.to !== undefined) {
+    const ms = Date.parse(e.ts);
+    if (f.from !== undefined && ms < f.from) return false;
+    if (f.to   !== undefined && ms > f.to)   return false;
+  }
+  if (f.text && !e.message.toLowerCase().includes(f.text)) return false;
+  return true;
+}
+
+// Yields a file's lines last to first, reading CHUNK bytes at a time
+async function* linesNewestFirst(file) {
+  let fh;
+  try { fh = await fs.promises.open(file, 'r'); } catch (_) { return; }
+  try {
+    let pos = (await fh.stat()).size;
+    let head = Buffer.alloc(0); // start of the earliest line read so far
+    while (pos > 0) {
+      const size = Math.min(CHUNK, pos);
+      pos -= size;
+      const chunk = Buffer.alloc(size);
+      await fh.read(chunk, 0, size, pos);
+      const buf = Buffer.concat([chunk, head]);
+      const cut = pos ? buf.indexOf(0x0a) : -1;
+      if (pos && cut === -1) { head = buf; continue; }
+      const lines = buf.subarray(cut + 1).toString('utf8').split('\n');
+      for (let j = lines.length - 1; j >= 0; j--) yield lines[j];
+      head = buf.subarray(0, cut + 1);
+    }
+  } finally {
+    await fh.close();
+  }
+}
+
+// Newest first, stopping as soon as the page is full, so a search for
+// recent lines doesn't read every rotated file. `all` ignores
+// offset/limit (for exports, capped at MAX_EXPORT).
+async function query(f, { all = false } = {}) {
+  flush();
+  const entries = [];
+  let skipped = 0;
+  const start = all ? 0 : f.offset;
+  const cap   = all ? MAX_EXPORT : f.limit;
+
+  for (let i = 0; i <= MAX_FILES; i++) {
+    for await (const line of linesNewestFirst(fileName(i))) {
+      if (!line) continue;
+      let e;
+      try { e = JSON.parse(line); } catch (_) { continue; }
+      if (!matches(e, f)) continue;
+      if (skipped < start) { skipped++; continue; }
+      // One match past the page tells the caller there is more
+      if (entries.length === cap) {
+        return all ? { entries } : { offset: f.offset, limit: f.limit, hasMore: true, entries };
+      }
+      entries.push(e);
+    }
+  }
+  return all
+    ? { entries }
+    : { offset: f.offset, limit: f.limit, hasMore: false, entries };
+}
+
+const CSV_FIELDS = ['ts', 'level', 'category', 'account', 'message'];
+// Quote when needed, and defuse leading = + - @ so spreadsheets don't run chat as a formula
+function csvCell(v) {
+  let s = String(v ?? '');
+  if (/^[=+\-@]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCSV(entries) {
+  return [CSV_FIELDS.join(','), ...entries.map(e => CSV_FIELDS.map(k => csvCell(e[k])).join(','))].join('\n') + '\n';
+}
+
+function toJSONL(entries) {
+  return entries.map(e => JSON.stringify(e)).join('\n') + (entries.length ? '\n' : '');
+}
+
+module.exports = { LEVELS, CATEGORIES, createEntry, write, flush, parseFilters, query, toCSV, toJSONL };
@@ -0,0 +1,68 @@
+// ─────────────────────────────────────────────
+//  Prometheus metrics — a tiny registry that
+//  renders the text exposition format for
+//  GET /metrics.
+//
+//  Counters live here so any module can bump them;
+//  gauges are read at scrape time from a collect()
+//  callback that server.js registers.
+// ─────────────────────────────────────────────
+const PREFIX = 'donut_';
+
+const registry = [];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function labelString(labels = {}) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function counter(name, help) {
+  const values = new Map(); // label string -> number
+  const metric = {
+    name: PREFIX + name, help, type: 'counter',
+    inc(labels = {}, n = 1) {
+      const key = labelString(labels);
+      values.set(key, (values.get(key) || 0) + n);
+    },
+    samples: () => [...values].map(([labels, value]) => ({ labels, value })),
+  };
+  registry.push(metric);
+  return metric;
+}
+
+// collect() -> [{ labels, value }] (or a plain number for an unlabelled gauge)
+function gauge(name, help, collect) {
+  const metric = {
+    name: PREFIX + name, help, type: 'gauge',
+    samples() {
+      const out = collect();
+      if (typeof out === 'number') return [{ labels: '', value: out }];
+      return out.map(s => ({ labels: labelString(s.labels), value: s.value }));
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+function render() {
+  const lines = [];
+  for (const m of registry) {
+    let samples;
+    try { samples = m.samples(); } catch (err) {
+      console.warn(`⚠️  Metric ${m.name} failed to collect — ${err.message}`);
+      continue;
+    }
+    lines.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+    for (const s of samples) lines.push(`${m.name}${s.labels} ${Number(s.value)}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+const reconnectAttempts   = counter('reconnect_attempts_total', 'Reconnect attempts started, per account');
+const disconnects         = counter('disconnects_total', 'Sessions ended, by account and reason');
+const chatMessages        = counter('chat_messages_total', 'In-game chat lines received (in) and sent (out)');
+const discordSendFailures = counter('discord_send_failures_total', 'Discord API calls that failed, by kind');
+
+module.exports = { counter, gauge, render, reconnectAttempts, disconnects, chatMessages, discordSendFailures };
@@ -0,0 +1,123 @@
+// ─────────────────────────────────────────────
+//  Microsoft sign-in — device codes & token cache
+//
+//  Each account gets its own prismarine-auth cache
+//  folder under AUTH_CACHE_DIR (default
+//  DATA_DIR/auth-cache/<url-encoded label>), so a
+//  token can be listed or forgotten per account.
+//  Tokens left in bedrock-protocol's shared default
+//  folder (<minecraft folder>/nmp-cache) by older
+//  versions are moved over on the account's first
+//  start, so upgrading doesn't force a new sign-in.
+//
+//  Device code: { userCode, verificationUri,
+//                 issuedAt, expiresAt, attempt }
+//  An expired code is replaced by restarting the
+//  session, at most MSA_CODE_RETRIES times in a row
+//  (default 3) before giving up.
+// ─────────────────────────────────────────────
+const crypto = require('crypto');
+const fs     = require('fs');
+const path   = require('path');
+const store  = require('./store');
+
+const CACHE_DIR    = process.env.AUTH_CACHE_DIR || path.join(store.DATA_DIR, 'auth-cache');
+const CODE_RETRIES = Number(process.env.MSA_CODE_RETRIES ?? 3);
+
+const cacheDir = (email) => path.join(CACHE_DIR, encodeURIComponent(email));
+
+// The folder bedrock-protocol picks when no profilesFolder is given
+const LEGACY_DIR = (() => {
+  try {
+    const from = { paths: [path.dirname(require.resolve('bedrock-protocol'))] };
+    return path.join(require(require.resolve('minecraft-folder-path', from)), 'nmp-cache');
+  } catch (_) {
+    return null;
+  }
+})();
+
+// prismarine-auth names its files <first 6 hex of sha1(username)>_<kind>-cache.json
+const legacyPrefix = (username) => `${crypto.createHash('sha1').update(username ?? '', 'binary').digest('hex').slice(0, 6)}_`;
+
+// Moves the account's files out of the shared folder when it has no folder
+// of its own yet. Moved, not copied — forgetting the token must not bring
+// the old copy back. Returns the number of files moved.
+function adoptLegacyCache(email, username) {
+  if (!LEGACY_DIR || fs.existsSync(cacheDir(email))) return 0;
+  const prefix = legacyPrefix(username);
+  let files;
+  try { files = fs.readdirSync(LEGACY_DIR).filter(f => f.startsWith(prefix) && f.endsWith('-cache.json')); } catch (_) { return 0; }
+  if (!files.length) return 0;
+
+  fs.mkdirSync(cacheDir(email), { recursive: true });
+  for (const file of files) {
+    // Copy + delete rather than rename — DATA_DIR is often another volume
+    fs.copyFileSync(path.join(LEGACY_DIR, file), path.join(cacheDir(email), file));
+    fs.rmSync(path.join(LEGACY_DIR, file), { force: true });
+  }
+  return files.length;
+}
+
+// onMsaCode payload -> device code state
+function createDeviceCode(data, attempt = 1, now = Date.now()) {
+  return {
+    userCode: data.user_code,
+    verificationUri: data.verification_uri,
+    issuedAt: now,
+    expiresAt: now + data.expires_in * 1000,
+    attempt,
+  };
+}
+
+// Adds the live countdown; safe to send to anyone (no code)
+function describeDeviceCode(code, now = Date.now()) {
+  if (!code) return null;
+  const remaining = Math.max(0, code.expiresAt - now);
+  return { issuedAt: code.issuedAt, expiresAt: code.expiresAt, attempt: code.attempt, expiresIn: Math.round(remaining / 1000), expired: !remaining };
+}
+
+// 'Authentication failed, timed out' is what prismarine-auth throws
+// when nobody entered the code before it expired
+const isCodeExpiry = (err) => /timed out/i.test(err?.message ?? '');
+
+// null when there's nothing cached for the account
+function tokenInfo(email) {
+  let files;
+  try { files = fs.readdirSync(cacheDir(email)).filter(f => f.endsWith('-cache.json')); } catch (_) { return null; }
+  if (!files.length) return null;
+
+  let updatedAt = 0;
+  let refreshable = false;
+  for (const file of files) {
+    const full = path.join(cacheDir(email), file);
+    try { updatedAt = Math.max(updatedAt, fs.statSync(full).mtimeMs); } catch (_) {}
+    // The Microsoft account token — the one a re-sign-in would replace
+    if (/_(live|msal|sisu)-cache\.json$/.test(file)) {
+      try {
+        const data = JSON.parse(fs.readFileSync(full, 'utf8'));
+        refreshable ||= !!(data.token?.refresh_token || Object.keys(data.RefreshToken || {}).length);
+      } catch (_) {}
+    }
+  }
+  return { updatedAt: Math.round(updatedAt) || null, refreshable };
+}
+
+// Every account with a cache folder, including ones no longer in the state file
+function listCached() {
+  let dirs;
+  try { dirs = fs.readdirSync(CACHE_DIR, { withFileTypes: true }).filter(d => d.isDirectory()); } catch (_) { return []; }
+  return dirs
+    .map(d => { try { return decodeURIComponent(d.name); } catch (_) { return null; } })
+    .filter(Boolean)
+    .map(email => ({ email, ...tokenInfo(email) }))
+    .filter(t => t.updatedAt !== undefined);
+}
+
+// Returns true when something was deleted
+function forgetToken(email) {
+  const had = !!tokenInfo(email);
+  fs.rmSync(cacheDir(email), { recursive: true, force: true });
+  return had;
+}
+
+module.exports = { CODE_RETRIES, LEGACY_DIR, cacheDir, adoptLegacyCache, createDeviceCode, describeDeviceCode, isCodeExpiry, tokenInfo, listCached, forgetToken };
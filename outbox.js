@@ -0,0 +1,103 @@
+// ─────────────────────────────────────────────
+//  Discord outbox — mirrored chat goes through
+//  here instead of straight to channel.send():
+//    • lines are batched per channel into one
+//      digest message every DIGEST_INTERVAL
+//    • identical lines (e.g. a broadcast seen by
+//      several alts) are sent once per window
+//    • failed sends are retried with backoff
+//      instead of being dropped
+//
+//  Optional env: DISCORD_DIGEST_MS, DISCORD_DEDUPE_MS
+// ─────────────────────────────────────────────
+const metrics = require('./metrics');
+
+const DIGEST_INTERVAL = Number(process.env.DISCORD_DIGEST_MS) || 2000;
+const DEDUPE_WINDOW   = Number(process.env.DISCORD_DEDUPE_MS) || 10000;
+const MAX_QUEUED      = 500;
+const MAX_MESSAGE     = 2000;
+const MAX_RETRIES     = 5;
+
+const queues = new Map();     // channel id -> { channel, lines, dropped, failures, retryAt }
+const recent = new Map();     // dedupe key -> last seen (ms)
+
+function isDuplicate(key, now = Date.now()) {
+  for (const [k, t] of recent) {
+    if (now - t > DEDUPE_WINDOW) recent.delete(k);
+    else break; // Map keeps insertion order, so the rest are newer
+  }
+  if (recent.has(key)) return true;
+  recent.set(key, now);
+  return false;
+}
+
+// dedupeKey is optional — lines with the same key for the same channel
+// inside DEDUPE_WINDOW are only queued once
+function enqueue(channel, line, dedupeKey) {
+  if (dedupeKey && isDuplicate(`${channel.id}\n${dedupeKey}`)) return;
+
+  let q = queues.get(channel.id);
+  if (!q) {
+    q = { channel, lines: [], dropped: 0, failures: 0, retryAt: 0 };
+    queues.set(channel.id, q);
+  }
+  q.channel = channel;
+  q.lines.push(line.slice(0, MAX_MESSAGE));
+  if (q.lines.length > MAX_QUEUED) {
+    q.lines.shift();
+    q.dropped += 1;
+  }
+}
+
+// Pack as many whole lines as fit into one Discord message
+function takeBatch(q) {
+  let content = q.dropped ? `*… ${q.dropped} line(s) dropped (queue full)*` : '';
+  let count = 0;
+  while (count < q.lines.length) {
+    const next = content ? `${content}\n${q.lines[count]}` : q.lines[count];
+    if (next.length > MAX_MESSAGE) break;
+    content = next;
+    count += 1;
+  }
+  return { content, count };
+}
+
+async function flushQueue(q) {
+  while (q.lines.length && Date.now() >= q.retryAt) {
+    const { content, count } = takeBatch(q);
+    try {
+      await q.channel.send({ content, allowedMentions: { parse: [] } });
+      q.lines.splice(0, count);
+      q.dropped = 0;
+      q.failures = 0;
+    } catch (err) {
+      metrics.discordSendFailures.inc({ kind: 'outbox' });
+      q.failures += 1;
+      if (q.failures > MAX_RETRIES) {
+        console.warn(`⚠️  Discord outbox: giving up on ${count} line(s) for #${q.channel.id} — ${err.message}`);
+        q.lines.splice(0, count);
+        q.failures = 0;
+      } else {
+        // discord.js already waits out 429s, so anything here is worth backing off from
+        q.retryAt = Date.now() + DIGEST_INTERVAL * Math.pow(2, q.failures);
+        console.warn(`⚠️  Discord outbox: send to #${q.channel.id} failed (${err.message}), retry ${q.failures}/${MAX_RETRIES}`);
+      }
+      return;
+    }
+  }
+}
+
+let flushing = false;
+async function flushAll() {
+  if (flushing) return;
+  flushing = true;
+  try {
+    for (const q of queues.values()) await flushQueue(q);
+  } finally {
+    flushing = false;
+  }
+}
+
+setInterval(flushAll, DIGEST_INTERVAL).unref();
+
+module.exports = { enqueue, flushAll };
@@ -0,0 +1,88 @@
+// ─────────────────────────────────────────────
+//  Discord slash command permissions
+//
+//  {
+//    "commands": { "chat": { "roles": ["<role id>"], "users": ["<user id>"] },
+//                  "*":    { ... } },            // fallback for unlisted commands
+//    "accounts": { "alt@outlook.com": { "users": ["<owner id>"] } }
+//  }
+//
+//  A command with no rule (and no "*") is open to
+//  everyone. An account rule is checked on top of
+//  the command rule, so both must pass. Members with
+//  Discord's Administrator permission always pass.
+//
+//  Seeded from DISCORD_PERMISSIONS (JSON) on first
+//  boot, then stored in the state file and editable
+//  through POST /discord-permissions.
+// ─────────────────────────────────────────────
+const { PermissionFlagsBits } = require('discord.js');
+const store = require('./store');
+
+const EMPTY = { commands: {}, accounts: {} };
+
+function parseRule(rule, where) {
+  if (!rule || typeof rule !== 'object') throw new Error(`${where} must be an object`);
+  const ids = (list, field) => {
+    if (list === undefined) return [];
+    if (!Array.isArray(list) || list.some(id => !/^\d{5,25}$/.test(String(id)))) {
+      throw new Error(`${where}.${field} must be an array of Discord IDs`);
+    }
+    return list.map(String);
+  };
+  return { roles: ids(rule.roles, 'roles'), users: ids(rule.users, 'users') };
+}
+
+// Throws on invalid input
+function parsePermissions(input = {}) {
+  const out = { commands: {}, accounts: {} };
+  for (const [name, rule] of Object.entries(input.commands || {})) out.commands[name] = parseRule(rule, `commands.${name}`);
+  for (const [email, rule] of Object.entries(input.accounts || {})) out.accounts[email] = parseRule(rule, `accounts.${email}`);
+  return out;
+}
+
+function getPermissions() {
+  let perms = store.get('discordPermissions');
+  if (!perms && process.env.DISCORD_PERMISSIONS) {
+    try {
+      perms = parsePermissions(JSON.parse(process.env.DISCORD_PERMISSIONS));
+      store.set('discordPermissions', perms);
+    } catch (err) {
+      console.error(`❌ Ignoring DISCORD_PERMISSIONS — ${err.message}`);
+    }
+  }
+  return perms || EMPTY;
+}
+
+function setPermissions(input) {
+  const perms = parsePermissions(input);
+  store.set('discordPermissions', perms);
+  return perms;
+}
+
+function matches(rule, interaction) {
+  if (rule.users.includes(interaction.user.id)) return true;
+  const roles = interaction.member?.roles?.cache;
+  return !!roles && rule.roles.some(id => roles.has(id));
+}
+
+// Returns null when allowed, otherwise a short reason
+function checkPermission(interaction, commandName, email) {
+  if (interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) return null;
+
+  const { commands, accounts } = getPermissions();
+  const commandRule = commands[commandName] || commands['*'];
+  if (commandRule && !matches(commandRule, interaction)) return `not allowed to use /${commandName}`;
+
+  const accountRule = email && accounts[email];
+  if (accountRule && !matches(accountRule, interaction)) return `not allowed to control \`${email}\``;
+
+  return null;
+}
+
+// Users named in an account's rule — who gets its sign-in codes by DM
+function accountOwners(email) {
+  return getPermissions().accounts[email]?.users ?? [];
+}
+
+module.exports = { getPermissions, setPermissions, checkPermission, accountOwners };
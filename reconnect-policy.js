@@ -0,0 +1,141 @@
+// ─────────────────────────────────────────────
+//  Reconnect policies
+//
+//  {
+//    baseDelay:   ms before the first retry          (5000)
+//    multiplier:  backoff factor per attempt         (1.5)
+//    maxDelay:    backoff cap in ms                  (60000)
+//    jitter:      0-1, ± fraction randomised so alts
+//                 don't retry in lockstep            (0.2)
+//    maxAttempts: give up after N, 0 = never         (0)
+//    reasonRules: [{ pattern, action: 'stop' }
+//                | { pattern, action: 'delay', delay }]
+//                 first match on the disconnect reason wins
+//    schedule:    null | { mode: 'online' | 'offline',
+//                   timezone: 'Europe/London',
+//                   windows: [{ start: 'HH:MM', end: 'HH:MM',
+//                               days: [0-6] (0 = Sun, optional) }] }
+//                 'online'  = only be online inside a window
+//                 'offline' = stay offline inside a window
+//  }
+//
+//  Accounts store only their overrides; anything
+//  missing comes from DEFAULT_POLICY.
+// ─────────────────────────────────────────────
+const DEFAULT_POLICY = {
+  baseDelay: 5000,
+  multiplier: 1.5,
+  maxDelay: 60000,
+  jitter: 0.2,
+  maxAttempts: 0,
+  reasonRules: [
+    { pattern: 'banned', action: 'stop' },
+    { pattern: 'restart', action: 'delay', delay: 120000 },
+  ],
+  schedule: null,
+};
+
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function num(value, field, min, max) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < min || n > max) throw new Error(`${field} must be ${min}-${max}`);
+  return n;
+}
+
+function parseSchedule(input) {
+  if (input === null) return null;
+  if (!['online', 'offline'].includes(input.mode)) throw new Error("schedule.mode must be 'online' or 'offline'");
+  const timezone = String(input.timezone || 'UTC');
+  try { new Intl.DateTimeFormat('en-GB', { timeZone: timezone }); } catch (_) { throw new Error(`schedule.timezone: unknown zone ${timezone}`); }
+  if (!Array.isArray(input.windows) || !input.windows.length) throw new Error('schedule.windows must be a non-empty array');
+
+  const windows = input.windows.map((w, i) => {
+    if (!TIME_RE.test(w?.start) || !TIME_RE.test(w?.end)) throw new Error(`schedule.windows[${i}]: start/end must be HH:MM`);
+    const out = { start: w.start, end: w.end };
+    if (w.days !== undefined) {
+      if (!Array.isArray(w.days) || w.days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+        throw new Error(`schedule.windows[${i}].days must be 0-6`);
+      }
+      out.days = w.days;
+    }
+    return out;
+  });
+  return { mode: input.mode, timezone, windows };
+}
+
+// Validates overrides only; throws on bad input
+function parsePolicy(input = {}) {
+  const out = {};
+  if (input.baseDelay   !== undefined) out.baseDelay   = num(input.baseDelay, 'baseDelay', 1000, 3600000);
+  if (input.multiplier  !== undefined) out.multiplier  = num(input.multiplier, 'multiplier', 1, 10);
+  if (input.maxDelay    !== undefined) out.maxDelay    = num(input.maxDelay, 'maxDelay', 1000, 86400000);
+  if (input.jitter      !== undefined) out.jitter      = num(input.jitter, 'jitter', 0, 1);
+  if (input.maxAttempts !== undefined) out.maxAttempts = Math.floor(num(input.maxAttempts, 'maxAttempts', 0, 10000));
+
+  if (input.reasonRules !== undefined) {
+    if (!Array.isArray(input.reasonRules)) throw new Error('reasonRules must be an array');
+    out.reasonRules = input.reasonRules.map((r, i) => {
+      const pattern = String(r?.pattern ?? '');
+      try { new RegExp(pattern, 'i'); } catch (err) { throw new Error(`reasonRules[${i}]: ${err.message}`); }
+      if (!pattern) throw new Error(`reasonRules[${i}]: pattern required`);
+      if (r.action === 'stop') return { pattern, action: 'stop' };
+      if (r.action === 'delay') return { pattern, action: 'delay', delay: num(r.delay, `reasonRules[${i}].delay`, 1000, 86400000) };
+      throw new Error(`reasonRules[${i}]: action must be 'stop' or 'delay'`);
+    });
+  }
+  if (input.schedule !== undefined) out.schedule = parseSchedule(input.schedule);
+  return out;
+}
+
+function resolvePolicy(overrides) {
+  return { ...DEFAULT_POLICY, ...overrides };
+}
+
+// Returns { stop: why } or { delay: ms } for the next attempt.
+// attempts = reconnects already made in this streak.
+function nextAttempt(policy, attempts, reason = '', random = Math.random) {
+  if (policy.maxAttempts && attempts >= policy.maxAttempts) {
+    return { stop: `gave up after ${attempts} attempt(s)` };
+  }
+
+  const rule = policy.reasonRules.find(r => new RegExp(r.pattern, 'i').test(reason));
+  if (rule?.action === 'stop') return { stop: `reason matched /${rule.pattern}/` };
+
+  let delay = rule?.action === 'delay'
+    ? rule.delay
+    : Math.min(policy.baseDelay * Math.pow(policy.multiplier, Math.min(attempts, 30)), policy.maxDelay);
+
+  delay *= 1 + policy.jitter * (random() * 2 - 1);
+  return { delay: Math.round(Math.max(1000, delay)) };
+}
+
+// Local day-of-week and minutes-past-midnight in the schedule's timezone
+function localTime(timezone, date) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+  }).formatToParts(date);
+  const get = (t) => parts.find(p => p.type === t).value;
+  const day = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday'));
+  return { day, minutes: Number(get('hour')) * 60 + Number(get('minute')) };
+}
+
+const toMinutes = (hhmm) => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3));
+
+// Windows may wrap midnight (e.g. 22:00-06:00); `days` refers to the day the window starts
+function inWindow(w, { day, minutes }) {
+  const start = toMinutes(w.start), end = toMinutes(w.end);
+  const onDay = (d) => !w.days || w.days.includes(d);
+  if (start <= end) return onDay(day) && minutes >= start && minutes < end;
+  return (onDay(day) && minutes >= start) || (onDay((day + 6) % 7) && minutes < end);
+}
+
+function shouldBeOnline(policy, date = new Date()) {
+  const { schedule } = policy;
+  if (!schedule) return true;
+  const now = localTime(schedule.timezone, date);
+  const inside = schedule.windows.some(w => inWindow(w, now));
+  return schedule.mode === 'online' ? inside : !inside;
+}
+
+module.exports = { DEFAULT_POLICY, parsePolicy, resolvePolicy, nextAttempt, shouldBeOnline };
@@ -1,148 +1,670 @@
 const express    = require('express');
 const { createClient } = require('bedrock-protocol');
 const EventEmitter = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
 const path       = require('path');
+const store      = require('./store');
+const auth       = require('./auth');
+const permissions = require('./permissions');
+const outbox     = require('./outbox');
+const alerts     = require('./alerts');
+const stats      = require('./stats');
+const reconnectPolicy = require('./reconnect-policy');
+const antiAfk    = require('./anti-afk');
+const worldState = require('./world-state');
+const inventory  = require('./inventory');
+const economy    = require('./economy');
+const groups     = require('./groups');
+const logs       = require('./logs');
+const discordPanel = require('./discord-panel');
+const commands   = require('./commands');
+const msa        = require('./msa');
+const webhooks   = require('./webhooks');
+const metrics    = require('./metrics');
 
 const {
   Client: DiscordClient,
   GatewayIntentBits,
   EmbedBuilder,
   ActivityType,
+  MessageFlags,
+  PermissionFlagsBits,
+  Status: GatewayStatus,
+  escapeMarkdown,
 } = require('discord.js');
 
 // ─────────────────────────────────────────────
 //  Config — Railway environment variables
 //  Set these in your Railway service settings:
-//    DISCORD_TOKEN, DISCORD_CLIENT_ID,
-//    DISCORD_GUILD_ID, DISCORD_CHANNEL_ID
+//    DISCORD_TOKEN, DISCORD_CHANNEL_ID
+//  Slash commands are synced on startup:
+//    DISCORD_GUILD_IDS — comma-separated servers
+//      (DISCORD_GUILD_ID still works); none set, or
+//      DISCORD_GLOBAL_COMMANDS=true, registers them
+//      application-wide. DISCORD_AUTO_REGISTER=false
+//      skips the sync (use register-commands.js).
+//  DISCORD_NOTIFY_CHANNELS — guildId:channelId,...
+//    notification channel per server (/notify
+//    changes them at runtime)
+//  Optional: DATA_DIR (persistent volume path)
+//  Dashboard auth: DASHBOARD_USERS, API_TOKENS
+//    (see auth.js)
+//  Slash command allow-lists: DISCORD_PERMISSIONS
+//    (see permissions.js)
+//  Connection defaults: BEDROCK_HOST, BEDROCK_PORT,
+//    BEDROCK_VERSION, BEDROCK_OFFLINE=true
+//  Log files: LOG_MAX_BYTES, LOG_MAX_FILES
+//    (see logs.js)
+//  Microsoft sign-in: AUTH_CACHE_DIR,
+//    MSA_CODE_RETRIES (see msa.js)
+//  Outbound webhooks: WEBHOOKS (see webhooks.js)
+//  RECONNECT_STAGGER_MS — min gap between any two
+//    accounts' (re)connect attempts, bulk connects
+//    included (default 3000)
 // ─────────────────────────────────────────────
 const DISCORD_TOKEN      = process.env.DISCORD_TOKEN;
 const DISCORD_CLIENT_ID  = process.env.DISCORD_CLIENT_ID;
-const DISCORD_GUILD_ID   = process.env.DISCORD_GUILD_ID;
 const DISCORD_CHANNEL_ID = process.env.DISCORD_CHANNEL_ID;
+const DISCORD_GUILD_IDS  = (process.env.DISCORD_GUILD_IDS || process.env.DISCORD_GUILD_ID || '')
+  .split(',').map(s => s.trim()).filter(Boolean);
+const DISCORD_GLOBAL_COMMANDS = process.env.DISCORD_GLOBAL_COMMANDS === 'true' || !DISCORD_GUILD_IDS.length;
+const DISCORD_AUTO_REGISTER   = process.env.DISCORD_AUTO_REGISTER !== 'false';
 
 const DISCORD_ENABLED = !!DISCORD_TOKEN;
 
+const RECONNECT_STAGGER_MS = Number(process.env.RECONNECT_STAGGER_MS) || 3000;
+
+// Fallbacks for any field a per-account profile leaves unset.
+// username: null -> derived from the account label.
+// version:  null -> bedrock-protocol's latest supported version.
+const DEFAULT_PROFILE = {
+  host:     process.env.BEDROCK_HOST || 'donutsmp.net',
+  port:     Number(process.env.BEDROCK_PORT) || 19132,
+  username: null,
+  version:  process.env.BEDROCK_VERSION || null,
+  offline:  process.env.BEDROCK_OFFLINE === 'true',
+};
+
 // ─────────────────────────────────────────────
 //  Express
 // ─────────────────────────────────────────────
 const app  = express();
 const PORT = process.env.PORT || 3000;
-app.use(express.json());
+app.set('trust proxy', 1); // Railway terminates TLS in front of us
+// rawBody: the test webhook receiver checks signatures over the exact bytes
+app.use(express.json({ verify: (req, _res, buf) => { req.rawBody = buf; } }));
 app.use(express.static(path.join(__dirname, 'public')));
+app.use(auth.authenticate);
+
+const viewer = auth.requireRole('viewer');
+const admin  = auth.requireRole('admin');
 
 // ─────────────────────────────────────────────
 //  Global SSE emitter
 // ─────────────────────────────────────────────
 const globalEmitter = new EventEmitter();
 globalEmitter.setMaxListeners(50);
+let sseClients = 0;
 
 // ─────────────────────────────────────────────
 //  Account sessions
 // ─────────────────────────────────────────────
 const accountData = new Map();
 
+const ACTIVE_STATUSES = ['Connecting', 'Online', 'Auth Required'];
+
+function createAccount(email, saved = {}) {
+  const bot = {
+    client: null, status: 'Offline', reportedStatus: 'Offline', logs: saved.logs || [],
+    autoReconnect: saved.autoReconnect ?? true,
+    reconnectAttempts: saved.reconnectAttempts || 0,
+    manualDisconnect: false, deviceCode: null, codeRetries: 0,
+    reconnectTimer: null, disconnectHandled: false,
+    profile: saved.profile || {},
+    script: saved.script || null,
+    bridgeChannelId: saved.bridgeChannelId || null,
+    chatFilter: saved.chatFilter || null,
+    stats: stats.createStats(saved.stats),
+    reconnectPolicy: saved.reconnectPolicy || {},
+    scheduledOffline: !!saved.scheduledOffline,
+    antiAfk: saved.antiAfk || {},
+    stopAntiAfk: null,
+    worldOptions: saved.worldOptions || {},
+    world: null,
+    economy: saved.economy || {},
+    ledger: economy.createLedger(saved.ledger),
+    inventory: null, stopBalancePoll: null,
+    resumeOnBoot: null, // pinned by shutdown() before sessions are torn down
+    scriptGen: 0, scriptTimer: null, scriptRepeating: false,
+  };
+  accountData.set(email, bot);
+  return bot;
+}
+
+// Snapshot the bits of a session worth keeping across restarts.
+// `resume` marks accounts that should come back online on boot.
+function shouldResume(bot) {
+  return !bot.manualDisconnect && (ACTIVE_STATUSES.includes(bot.status) || !!bot.reconnectTimer || bot.scheduledOffline);
+}
+
+function persistAccount(email) {
+  const bot = accountData.get(email);
+  if (!bot) return;
+  store.saveAccount(email, {
+    autoReconnect: bot.autoReconnect,
+    reconnectAttempts: bot.reconnectAttempts,
+    resume: bot.resumeOnBoot ?? shouldResume(bot),
+    scheduledOffline: bot.scheduledOffline,
+    reconnectPolicy: bot.reconnectPolicy,
+    antiAfk: bot.antiAfk,
+    worldOptions: bot.worldOptions,
+    economy: bot.economy,
+    ledger: economy.serializeLedger(bot.ledger),
+    profile: bot.profile,
+    script: bot.script,
+    bridgeChannelId: bot.bridgeChannelId,
+    chatFilter: bot.chatFilter,
+    stats: stats.serialize(bot.stats),
+    logs: bot.logs,
+  });
+}
+
+// Rebuild accountData from disk, then bring back every account that was
+// online (or waiting to reconnect) when the process went down
+function restoreAccounts() {
+  store.load();
+  const toResume = [];
+  for (const [email, saved] of Object.entries(store.getAccounts())) {
+    const bot = createAccount(email, saved);
+    if (!saved.resume) continue;
+    // Outside its schedule window: leave it for enforceSchedules to bring back
+    if (!reconnectPolicy.shouldBeOnline(reconnectPolicy.resolvePolicy(bot.reconnectPolicy))) {
+      bot.scheduledOffline = true;
+      continue;
+    }
+    toResume.push(email);
+  }
+  if (accountData.size) console.log(`  💾  Restored ${accountData.size} account(s), resuming ${toResume.length}`);
+
+  // Stagger resumes so every alt doesn't hit the server in the same second
+  toResume.forEach((email, i) => {
+    setTimeout(() => {
+      const bot = accountData.get(email);
+      if (bot && !ACTIVE_STATUSES.includes(bot.status)) {
+        addLog(email, '💾 Resuming session after restart.', { category: 'connection' });
+        startBot(email, false);
+      }
+    }, i * 2000);
+  });
+}
+
+// ─────────────────────────────────────────────
+//  Connection profiles
+// ─────────────────────────────────────────────
+
+// Validate user-supplied overrides. Blank/undefined fields are skipped so a
+// partial update keeps the rest of the stored profile. Throws on bad input.
+function parseProfile(input = {}) {
+  const out = {};
+  const given = (v) => v !== undefined && v !== null && v !== '';
+
+  if (given(input.host)) out.host = String(input.host).trim();
+  if (given(input.port)) {
+    const port = Number(input.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) throw new Error('port must be 1-65535');
+    out.port = port;
+  }
+  if (given(input.username)) out.username = String(input.username).trim();
+  if (given(input.version))  out.version  = String(input.version).trim();
+  if (given(input.offline))  out.offline  = input.offline === true || input.offline === 'true' || input.offline === 'offline';
+  return out;
+}
+
+function resolveProfile(email) {
+  const p = { ...DEFAULT_PROFILE, ...accountData.get(email)?.profile };
+  p.username = p.username || (email.includes('@') ? email.split('@')[0] : email);
+  return p;
+}
+
+function updateProfile(email, input) {
+  const overrides = parseProfile(input);
+  const bot = accountData.get(email) || createAccount(email);
+  bot.profile = { ...bot.profile, ...overrides };
+  return bot;
+}
+
 // ─────────────────────────────────────────────
 //  Discord client
 // ─────────────────────────────────────────────
 let discord = null;
-let discordChannel = null;
+let discordChannel = null;  // primary channel — chat mirror, status panel, default notifications
+const notifyChannels = new Map(); // guildId -> channel
 
-async function initDiscord() {
-  discord = new DiscordClient({
+// client: pass a stand-in to run without the real gateway (tests)
+async function initDiscord(client = null) {
+  discord = client ?? new DiscordClient({
     intents: [
       GatewayIntentBits.Guilds,
       GatewayIntentBits.GuildMessages,
+      // Privileged — enable "Message Content Intent" in the developer portal
+      GatewayIntentBits.MessageContent,
     ],
   });
 
   discord.once('ready', async () => {
     console.log(`🤖 Discord bot ready: ${discord.user.tag}`);
-    discord.user.setActivity('donutsmp.net', { type: ActivityType.Watching });
+    discord.user.setActivity(DEFAULT_PROFILE.host, { type: ActivityType.Watching });
 
     try {
       discordChannel = await discord.channels.fetch(DISCORD_CHANNEL_ID);
       discordChannel.send({
         embeds: [makeEmbed('🟢 Bot Manager Online', 'DonutSMP bot dashboard is running.', 0x00ff87)],
-      }).catch(() => {});
+      }).catch(discordFailure('notify'));
     } catch (_) {
       console.warn('⚠️  Could not fetch Discord channel — check channelId in config.json');
     }
+    await loadNotifyChannels();
+    restorePanel();
+    syncSlashCommands();
   });
 
   // ── Slash command handler ──────────────────
   discord.on('interactionCreate', async (interaction) => {
+    if (interaction.isAutocomplete()) return handleAutocomplete(interaction);
+    if (interaction.isButton() || interaction.isStringSelectMenu() || interaction.isModalSubmit()) {
+      return handlePanelInteraction(interaction).catch((err) => console.error('❌ Panel interaction failed:', err.message));
+    }
     if (!interaction.isChatInputCommand()) return;
     const { commandName } = interaction;
-    await interaction.deferReply();
 
-    if (commandName === 'connect') {
-      const email = interaction.options.getString('account');
-      const existing = accountData.get(email);
-      if (existing && ['Connecting', 'Online', 'Auth Required'].includes(existing.status)) {
-        return interaction.editReply({ embeds: [makeEmbed('⚠️ Already Active', `\`${email}\` is already ${existing.status}.`, 0xffb830)] });
+    const target = interaction.options.getString('account');
+    const denied = permissions.checkPermission(interaction, commandName, target);
+    if (denied) return denyInteraction(interaction, commandName, target, denied);
+
+    await interaction.deferReply(EPHEMERAL_COMMANDS.includes(commandName) ? { flags: MessageFlags.Ephemeral } : {});
+
+    const handler = slashHandlers[commandName];
+    if (!handler) {
+      return interaction.editReply({ embeds: [makeEmbed('❓ Unknown Command', `\`/${commandName}\` isn't handled by this version of the bot.`, 0xff4560)] });
+    }
+    try {
+      await handler(interaction);
+    } catch (err) {
+      console.error(`❌ /${commandName} failed:`, err);
+      interaction.editReply({ embeds: [makeEmbed('❌ Command Failed', err.message, 0xff4560)] }).catch(discordFailure('reply'));
+    }
+  });
+
+  // ── Bridge: Discord -> game ────────────────
+  discord.on('messageCreate', (message) => {
+    if (message.author.bot || !message.content.trim()) return;
+
+    for (const [email, bot] of accountData.entries()) {
+      if (bot.bridgeChannelId !== message.channelId) continue;
+
+      // Same allow-list as /chat so a bridge channel can't bypass it
+      const denied = permissions.checkPermission(
+        { user: message.author, member: message.member, memberPermissions: message.member?.permissions },
+        'chat', email);
+      if (denied) {
+        addLog(email, `⛔ Discord user ${message.author.tag} was denied bridge chat.`, { level: 'warn', category: 'command' });
+        message.react('⛔').catch(discordFailure('reaction'));
+        continue;
       }
-      startBot(email, false);
-      return interaction.editReply({ embeds: [makeEmbed('🚀 Connecting', `Starting connection for \`${email}\`...`, 0x00c6ff)] });
+      if (!bot.client || bot.status !== 'Online') {
+        message.react('💤').catch(discordFailure('reaction'));
+        continue;
+      }
+      queueChat(bot.client, message.content);
+      addLog(email, `📤 Discord (${message.author.tag}) -> Game: ${message.content}`, { category: 'command' });
     }
+  });
 
-    if (commandName === 'disconnect') {
-      const email = interaction.options.getString('account');
-      const bot = accountData.get(email);
-      if (!bot) return interaction.editReply({ embeds: [makeEmbed('❌ Not Found', `No session for \`${email}\`.`, 0xff4560)] });
-      bot.manualDisconnect = true;
-      bot.disconnectHandled = true;
-      bot.autoReconnect = false;
-      clearTimeout(bot.reconnectTimer);
-      if (bot.client) { try { bot.client.disconnect(); } catch (_) {} bot.client = null; }
-      bot.status = 'Offline';
-      addLog(email, '🔌 Disconnected via Discord.');
-      broadcastUpdate(email);
-      return interaction.editReply({ embeds: [makeEmbed('🔌 Disconnected', `\`${email}\` has been disconnected.`, 0xff4560)] });
+  // Without a listener an 'error' event would throw and take every bot down;
+  // discord.js reconnects the gateway by itself
+  discord.on('error', (err) => console.error('❌ Discord client error:', err.message));
+  discord.on('shardError', (err) => console.warn(`⚠️  Discord gateway error — ${err.message}`));
+
+  await discord.login(DISCORD_TOKEN);
+}
+
+// ─────────────────────────────────────────────
+//  Slash command handlers — one per command in
+//  commands.js. Permissions are already checked
+//  and the reply deferred when these run.
+// ─────────────────────────────────────────────
+// Replies only the invoker sees — sign-in codes must never land in a channel
+const EPHEMERAL_COMMANDS = ['auth'];
+
+const slashHandlers = {
+  async panel(interaction) {
+    if (!interaction.channel?.isTextBased()) {
+      return interaction.editReply({ embeds: [makeEmbed('❌ Unsupported Channel', 'Run `/panel` in a text channel or thread.', 0xff4560)] });
+    }
+    try {
+      await postPanel(interaction.channel);
+    } catch (err) {
+      return interaction.editReply({ embeds: [makeEmbed('❌ Could Not Post', err.message, 0xff4560)] });
     }
+    return interaction.editReply({ embeds: [makeEmbed('📊 Status Panel', 'Posted — it updates itself as accounts change.', 0x00ff87)] });
+  },
 
-    if (commandName === 'chat') {
-      const email   = interaction.options.getString('account');
-      const message = interaction.options.getString('message');
+  async connect(interaction) {
+    const email = interaction.options.getString('account');
+    const existing = accountData.get(email);
+    if (existing && ACTIVE_STATUSES.includes(existing.status)) {
+      return interaction.editReply({ embeds: [makeEmbed('⚠️ Already Active', `\`${email}\` is already ${existing.status}.`, 0xffb830)] });
+    }
+    const mode = interaction.options.getString('auth');
+    try {
+      updateProfile(email, {
+        host:     interaction.options.getString('host'),
+        port:     interaction.options.getInteger('port'),
+        username: interaction.options.getString('username'),
+        version:  interaction.options.getString('version'),
+        offline:  mode ? mode === 'offline' : undefined,
+      });
+    } catch (err) {
+      return interaction.editReply({ embeds: [makeEmbed('❌ Invalid Profile', err.message, 0xff4560)] });
+    }
+    startBot(email, false);
+    const { host, port } = resolveProfile(email);
+    return interaction.editReply({ embeds: [makeEmbed('🚀 Connecting', `Starting connection for \`${email}\` to \`${host}:${port}\`...`, 0x00c6ff)] });
+  },
+
+  async disconnect(interaction) {
+    const email = interaction.options.getString('account');
+    const bot = accountData.get(email);
+    if (!bot) return interaction.editReply({ embeds: [makeEmbed('❌ Not Found', `No session for \`${email}\`.`, 0xff4560)] });
+    stopBot(email, 'Disconnected via Discord');
+    addLog(email, '🔌 Disconnected via Discord.', { category: 'connection' });
+    broadcastUpdate(email);
+    return interaction.editReply({ embeds: [makeEmbed('🔌 Disconnected', `\`${email}\` has been disconnected.`, 0xff4560)] });
+  },
+
+  async chat(interaction) {
+    const email   = interaction.options.getString('account');
+    const message = interaction.options.getString('message');
+    const bot = accountData.get(email);
+    if (!bot?.client || bot.status !== 'Online') {
+      return interaction.editReply({ embeds: [makeEmbed('❌ Bot Offline', `\`${email}\` is not online.`, 0xff4560)] });
+    }
+    queueChat(bot.client, message);
+    addLog(email, `📤 Discord -> Game: ${message}`, { category: 'command' });
+    return interaction.editReply({ embeds: [makeEmbed('📤 Sent', `\`${message}\` -> \`${email}\``, 0x00ff87)] });
+  },
+
+  async status(interaction) {
+    if (accountData.size === 0) {
+      return interaction.editReply({ embeds: [makeEmbed('📊 Status', 'No active sessions.', 0x5865f2)] });
+    }
+    const lines = [];
+    for (const [email, d] of accountData.entries()) {
+      const icon = { Online:'🟢', Connecting:'🟡', 'Auth Required':'🔵', Error:'🔴', Offline:'⚫' }[d.status] ?? '⚫';
+      lines.push(`${icon} **${email}** — ${d.status} (reconnects: ${d.reconnectAttempts})`);
+    }
+    return interaction.editReply({ embeds: [makeEmbed('📊 Session Status', lines.join('\n'), 0x5865f2)] });
+  },
+
+  async stats(interaction) {
+    const only = interaction.options.getString('account');
+    if (only && !accountData.has(only)) {
+      return interaction.editReply({ embeds: [makeEmbed('❌ Not Found', `No session for \`${only}\`.`, 0xff4560)] });
+    }
+    const emails = only ? [only] : [...accountData.keys()];
+    if (!emails.length) return interaction.editReply({ embeds: [makeEmbed('📈 Stats', 'No accounts yet.', 0x5865f2)] });
+
+    const fmt = stats.formatDuration;
+    const blocks = emails.map((email) => {
+      const st = stats.summarize(accountData.get(email).stats);
+      const today = st.uptimeByDay[st.uptimeByDay.length - 1];
+      const week  = st.uptimeByDay.slice(-7);
+      const weekPct = Math.round(week.reduce((a, d) => a + d.percent, 0) / week.length * 10) / 10;
+      const reasons = Object.entries(st.disconnects).sort((a, b) => b[1] - a[1]).slice(0, only ? 5 : 2)
+        .map(([reason, n]) => `  • ${n}× ${reason}`).join('\n');
+      return `**${email}**\n` +
+        `Online ${fmt(st.onlineMs)} · today ${today.percent}% · 7d ${weekPct}%\n` +
+        `Sessions ${st.sessionCount} (avg ${fmt(st.avgSessionMs)}, best ${fmt(st.longestSessionMs)})` +
+        `${st.currentSessionMs ? ` · current ${fmt(st.currentSessionMs)}` : ''}\n` +
+        `Auth wait ${fmt(st.authMs)} · Disconnects ${st.disconnectTotal}` +
+        (reasons ? `\n${reasons}` : '');
+    });
+    return interaction.editReply({ embeds: [makeEmbed('📈 Session Stats', blocks.join('\n\n').slice(0, 4000), 0x5865f2)] });
+  },
+
+  async group(interaction) {
+    const sub  = interaction.options.getSubcommand();
+    const name = interaction.options.getString('name');
+    if (sub === 'list') {
+      const lines = Object.entries(groups.getGroups())
+        .map(([g, members]) => `**${g}** (${members.length}) — ${members.map(m => `\`${m}\``).join(', ')}`);
+      return interaction.editReply({ embeds: [makeEmbed('👥 Account Groups', (lines.join('\n') || 'No groups yet — add one with `/group set`.').slice(0, 4000), 0x5865f2)] });
+    }
+    if (sub === 'delete') {
+      if (!groups.deleteGroup(name)) return interaction.editReply({ embeds: [makeEmbed('❌ Not Found', `No group \`${name}\`.`, 0xff4560)] });
+      return interaction.editReply({ embeds: [makeEmbed('🗑️ Group Deleted', `Removed group \`${name}\`.`, 0xff4560)] });
+    }
+    try {
+      const members = groups.setGroup(name, interaction.options.getString('accounts'));
+      return interaction.editReply({ embeds: [makeEmbed('👥 Group Saved', `\`${name.toLowerCase()}\` → ${members.map(m => `\`${m}\``).join(', ')}`, 0x00ff87)] });
+    } catch (err) {
+      return interaction.editReply({ embeds: [makeEmbed('❌ Invalid Group', err.message, 0xff4560)] });
+    }
+  },
+
+  async bulk(interaction) {
+    const action = interaction.options.getSubcommand();
+    const target = interaction.options.getString('target') || 'all';
+    let emails;
+    try {
+      emails = groups.resolveTarget(target, accountData.keys());
+    } catch (err) {
+      return interaction.editReply({ embeds: [makeEmbed('❌ Unknown Target', err.message, 0xff4560)] });
+    }
+    if (action === 'connect' && emails.length > 1) {
+      await interaction.editReply({ embeds: [makeEmbed('📦 Bulk connect', `Starting ${emails.length} account(s), ${RECONNECT_STAGGER_MS / 1000}s apart...`, 0x00c6ff)] });
+    }
+    // Each account is checked as if the matching single-account command was used on it
+    const results = await runBulk(action, emails, {
+      message: interaction.options.getString('message'),
+      enabled: interaction.options.getBoolean('enabled') ?? undefined,
+      via: 'bulk, via Discord',
+    }, (email) => permissions.checkPermission(interaction, action, email));
+    return interaction.editReply({ embeds: [bulkEmbed(action, target, results)] });
+  },
+
+  async balance(interaction) {
+    const only = interaction.options.getString('account');
+    if (only && !accountData.has(only)) {
+      return interaction.editReply({ embeds: [makeEmbed('❌ Not Found', `No session for \`${only}\`.`, 0xff4560)] });
+    }
+    const money = economy.formatMoney;
+    const signed = (n) => `${n > 0 ? '+' : ''}${money(n)}`;
+    const blocks = (only ? [only] : [...accountData.keys()]).map((email) => {
+      const ec = economy.summarizeLedger(accountData.get(email).ledger);
+      const days = only
+        ? '\n' + ec.earningsByDay.slice(-7).map(d => `  • ${d.date}: ${signed(d.net)}`).join('\n')
+        : '';
+      return `**${email}** — ${money(ec.balance)}` +
+        (ec.updatedAt ? ` <t:${Math.floor(ec.updatedAt / 1000)}:R>` : '') +
+        `\nToday ${signed(ec.today)} · 7d ${signed(ec.week)}${days}`;
+    });
+    const total = [...accountData.values()].reduce((a, b) => a + (b.ledger.balance || 0), 0);
+    const footer = only || accountData.size < 2 ? '' : `\n\n**Total** ${money(total)}`;
+    return interaction.editReply({ embeds: [makeEmbed('💰 Balance', (blocks.join('\n\n') || 'No accounts yet.').slice(0, 3900) + footer, 0x00ff87)] });
+  },
+
+  async inventory(interaction) {
+    const email = interaction.options.getString('account');
+    const bot = accountData.get(email);
+    if (!bot) return interaction.editReply({ embeds: [makeEmbed('❌ Not Found', `No session for \`${email}\`.`, 0xff4560)] });
+    const inv = inventory.summarizeInventory(bot.inventory);
+    if (!inv) return interaction.editReply({ embeds: [makeEmbed('🎒 Inventory', `No inventory seen yet for \`${email}\` (${bot.status}).`, 0xffb830)] });
+    const lines = inv.totals.map(t => `${t.count}× ${escapeMarkdown(t.name)}`);
+    return interaction.editReply({ embeds: [makeEmbed(`🎒 Inventory — ${email}`,
+      `${inv.used}/${inv.size} slots used${bot.status === 'Online' ? '' : ' (last known)'}\n\n${lines.join('\n') || 'Empty'}`.slice(0, 4000), 0x5865f2)] });
+  },
+
+  async where(interaction) {
+    const only = interaction.options.getString('account');
+    if (only && !accountData.has(only)) {
+      return interaction.editReply({ embeds: [makeEmbed('❌ Not Found', `No session for \`${only}\`.`, 0xff4560)] });
+    }
+    const blocks = (only ? [only] : [...accountData.keys()]).map((email) => {
       const bot = accountData.get(email);
-      if (!bot?.client || bot.status !== 'Online') {
-        return interaction.editReply({ embeds: [makeEmbed('❌ Bot Offline', `\`${email}\` is not online.`, 0xff4560)] });
+      const w = worldState.summarizeWorld(bot.world);
+      if (!w) return `**${email}** — no position yet (${bot.status})`;
+      const near = w.nearby.slice(0, 5).map(n => `${escapeMarkdown(n.name)} (${n.distance}m)`).join(', ');
+      return `**${email}**${bot.status === 'Online' ? '' : ` — last known (${bot.status})`}\n` +
+        `📍 ${formatPosition(bot.world)}\n` +
+        `❤️ ${w.health ?? '?'}/${w.maxHealth} · 🍗 ${w.hunger ?? '?'}${w.dead ? ' · 💀 dead' : ''} · 👥 ${w.players.length} online` +
+        (near ? `\n👀 ${near}` : '');
+    });
+    return interaction.editReply({ embeds: [makeEmbed('📍 Where', blocks.join('\n\n').slice(0, 4000) || 'No accounts yet.', 0x5865f2)] });
+  },
+
+  async reconnect(interaction) {
+    const email   = interaction.options.getString('account');
+    const enabled = interaction.options.getBoolean('enabled');
+    const bot = accountData.get(email);
+    if (!bot) return interaction.editReply({ embeds: [makeEmbed('❌ Not Found', `No session for \`${email}\`.`, 0xff4560)] });
+    bot.autoReconnect = enabled;
+    addLog(email, `🔁 Auto-reconnect set to ${enabled ? 'ON' : 'OFF'} via Discord.`);
+    broadcastUpdate(email);
+    return interaction.editReply({ embeds: [makeEmbed('🔁 Auto-Reconnect', `Set to **${enabled ? 'ON' : 'OFF'}** for \`${email}\`.`, 0x00ff87)] });
+  },
+
+  async bridge(interaction) {
+    const email   = interaction.options.getString('account');
+    const channel = interaction.options.getChannel('channel');
+    const bot = accountData.get(email);
+    if (!bot) return interaction.editReply({ embeds: [makeEmbed('❌ Not Found', `No session for \`${email}\`.`, 0xff4560)] });
+    setBridge(email, channel?.id ?? null);
+    return interaction.editReply({ embeds: [makeEmbed('🌉 Chat Bridge',
+      channel ? `\`${email}\` is now bridged to <#${channel.id}>.` : `Bridge removed for \`${email}\`.`, 0x00ff87)] });
+  },
+
+  async alert(interaction) {
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === 'list') {
+      const rules = alerts.listRules();
+      const lines = rules.map(r =>
+        `\`${r.id}\` **${r.name}** — \`/${r.pattern}/i\` → ${describeAlertAction(r)}` +
+        ` · ${r.accounts.length ? r.accounts.join(', ') : 'all accounts'} · ${r.cooldown}s cooldown`);
+      return interaction.editReply({ embeds: [makeEmbed('🚨 Alert Rules', lines.join('\n') || 'No rules yet.', 0x5865f2)] });
+    }
+
+    if (sub === 'add') {
+      let rule;
+      try {
+        rule = alerts.addRule({
+          name:     interaction.options.getString('name'),
+          pattern:  interaction.options.getString('pattern'),
+          action:   interaction.options.getString('action'),
+          target:   interaction.options.getString('target') ?? undefined,
+          reply:    interaction.options.getString('reply') ?? undefined,
+          accounts: interaction.options.getString('accounts') ?? undefined,
+          cooldown: interaction.options.getInteger('cooldown') ?? undefined,
+        });
+      } catch (err) {
+        return interaction.editReply({ embeds: [makeEmbed('❌ Invalid Rule', err.message, 0xff4560)] });
       }
-      bot.client.queue('text', {
-        type: 'raw', needs_translation: false,
-        source_name: '', message: String(message),
-        xuid: '', platform_chat_id: '',
+      return interaction.editReply({ embeds: [makeEmbed('🚨 Alert Added', `\`${rule.id}\` **${rule.name}** → ${describeAlertAction(rule)}`, 0x00ff87)] });
+    }
+
+    if (sub === 'remove') {
+      const rule = alerts.removeRule(interaction.options.getString('id'));
+      if (!rule) return interaction.editReply({ embeds: [makeEmbed('❌ Not Found', 'No rule with that ID.', 0xff4560)] });
+      return interaction.editReply({ embeds: [makeEmbed('🗑 Alert Removed', `**${rule.name}** removed.`, 0x00ff87)] });
+    }
+  },
+
+  async auth(interaction) {
+    const sub = interaction.options.getSubcommand();
+    const email = interaction.options.getString('account');
+
+    if (sub === 'status') {
+      const emails = [...new Set([...accountData.keys(), ...msa.listCached().map(t => t.email)])].sort();
+      const lines = emails.map((e) => {
+        const bot = accountData.get(e);
+        const token = msa.tokenInfo(e);
+        let state;
+        if (bot?.status === 'Auth Required' && bot.deviceCode) state = `🔵 waiting for sign-in — code expires ${discordRelative(bot.deviceCode.expiresAt)}`;
+        else if (token) state = `🔐 token cached (updated ${discordRelative(token.updatedAt)})${token.refreshable ? '' : ' · no refresh token'}`;
+        else if (resolveProfile(e).offline) state = '⚫ offline mode';
+        else state = '⚪ no cached token';
+        return `**${e}** — ${state}`;
       });
-      addLog(email, `📤 Discord -> Game: ${message}`);
-      return interaction.editReply({ embeds: [makeEmbed('📤 Sent', `\`${message}\` -> \`${email}\``, 0x00ff87)] });
+      return interaction.editReply({ embeds: [makeEmbed('🔐 Microsoft Sign-in', lines.join('\n').slice(0, 4000) || 'No accounts yet.', 0x5865f2)] });
+    }
+
+    // Codes and tokens sign in as the account — only its owners and admins
+    const isAdmin = interaction.memberPermissions?.has(PermissionFlagsBits.Administrator);
+    if (!isAdmin && !(await accountOwners(email)).includes(interaction.user.id)) {
+      return interaction.editReply({ embeds: [makeEmbed('⛔ Permission Denied', `Only \`${email}\`'s owners and server admins can use \`/auth ${sub}\`.`, 0xff4560)] });
     }
 
-    if (commandName === 'status') {
-      if (accountData.size === 0) {
-        return interaction.editReply({ embeds: [makeEmbed('📊 Status', 'No active sessions.', 0x5865f2)] });
+    if (sub === 'code') {
+      const bot = accountData.get(email);
+      if (bot?.status !== 'Auth Required' || !bot.deviceCode) {
+        return interaction.editReply({ embeds: [makeEmbed('❌ No Pending Code', `\`${email}\` isn't waiting for sign-in.`, 0xff4560)] });
       }
-      const lines = [];
-      for (const [email, d] of accountData.entries()) {
-        const icon = { Online:'🟢', Connecting:'🟡', 'Auth Required':'🔵', Error:'🔴', Offline:'⚫' }[d.status] ?? '⚫';
-        lines.push(`${icon} **${email}** — ${d.status} (reconnects: ${d.reconnectAttempts})`);
+      return interaction.editReply({ embeds: [deviceCodeEmbed(email, bot.deviceCode)] });
+    }
+
+    const via = `Discord: ${interaction.user.tag}`;
+    if (sub === 'forget') {
+      const forgotten = forgetAccountToken(email, via);
+      return interaction.editReply({ embeds: [makeEmbed('🧹 Token Forgotten',
+        forgotten ? `\`${email}\` will ask for a new sign-in code next time it connects.` : `\`${email}\` had no cached token.`, 0x00ff87)] });
+    }
+
+    if (sub === 'reauth') {
+      try {
+        reauthenticate(email, via);
+      } catch (err) {
+        return interaction.editReply({ embeds: [makeEmbed('❌ Cannot Re-authenticate', err.message, 0xff4560)] });
       }
-      return interaction.editReply({ embeds: [makeEmbed('📊 Session Status', lines.join('\n'), 0x5865f2)] });
+      return interaction.editReply({ embeds: [makeEmbed('🔑 Re-authenticating', `\`${email}\` is requesting a new sign-in code — it will be sent by DM, or use \`/auth code\`.`, 0x00c6ff)] });
     }
+  },
 
-    if (commandName === 'reconnect') {
-      const email   = interaction.options.getString('account');
-      const enabled = interaction.options.getBoolean('enabled');
-      const bot = accountData.get(email);
-      if (!bot) return interaction.editReply({ embeds: [makeEmbed('❌ Not Found', `No session for \`${email}\`.`, 0xff4560)] });
-      bot.autoReconnect = enabled;
-      addLog(email, `🔁 Auto-reconnect set to ${enabled ? 'ON' : 'OFF'} via Discord.`);
-      broadcastUpdate(email);
-      return interaction.editReply({ embeds: [makeEmbed('🔁 Auto-Reconnect', `Set to **${enabled ? 'ON' : 'OFF'}** for \`${email}\`.`, 0x00ff87)] });
+  async notify(interaction) {
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === 'show') {
+      const lines = [...notifyChannels].map(([guildId, channel]) =>
+        `**${escapeMarkdown(channel.guild?.name ?? guildId)}** → <#${channel.id}>`);
+      return interaction.editReply({ embeds: [makeEmbed('🔔 Notification Channels',
+        lines.join('\n') || (discordChannel ? `Only the primary channel: <#${discordChannel.id}>` : 'None configured.'), 0x5865f2)] });
     }
-  });
 
-  await discord.login(DISCORD_TOKEN);
-}
+    const { guildId } = interaction;
+    if (!guildId) {
+      return interaction.editReply({ embeds: [makeEmbed('❌ Server Only', 'Run `/notify` inside a server.', 0xff4560)] });
+    }
+
+    if (sub === 'off') {
+      setNotifyChannel(guildId, null);
+      return interaction.editReply({ embeds: [makeEmbed('🔕 Notifications Off', 'This server will no longer get bot notifications.', 0x00ff87)] });
+    }
+
+    if (sub === 'set') {
+      const channel = await fetchChannel(interaction.options.getChannel('channel').id);
+      if (!channel?.isTextBased() || channel.guildId !== guildId) {
+        return interaction.editReply({ embeds: [makeEmbed('❌ Invalid Channel', "Pick a text channel in this server that I can see.", 0xff4560)] });
+      }
+      try {
+        await channel.send({ embeds: [makeEmbed('🔔 Notifications Enabled', 'Bot notifications for this server will be posted here.', 0x00ff87)] });
+      } catch (err) {
+        return interaction.editReply({ embeds: [makeEmbed('❌ Cannot Post There', err.message, 0xff4560)] });
+      }
+      setNotifyChannel(guildId, channel);
+      return interaction.editReply({ embeds: [makeEmbed('🔔 Notification Channel Set', `Notifications will go to <#${channel.id}>.`, 0x00ff87)] });
+    }
+  },
+};
 
 // ─────────────────────────────────────────────
 //  Discord helpers
@@ -156,9 +678,211 @@ function makeEmbed(title, description, color = 0x00ff87) {
     .setFooter({ text: 'DonutSMP Bot Manager' });
 }
 
-function discordNotify(title, description, color) {
-  if (!discordChannel) return;
-  discordChannel.send({ embeds: [makeEmbed(title, description, color)] }).catch(() => {});
+// For fire-and-forget Discord calls: count the failure for /metrics
+// instead of dropping it silently
+function discordFailure(kind) {
+  return () => metrics.discordSendFailures.inc({ kind });
+}
+
+// Every server's notification channel, or just guildId's when given
+function discordNotify(title, description, color, guildId = null) {
+  for (const channel of notifyTargets(guildId)) {
+    channel.send({ embeds: [makeEmbed(title, description, color)] }).catch(discordFailure('notify'));
+  }
+}
+
+async function fetchChannel(id) {
+  if (!discord?.isReady()) return null;
+  return discord.channels.cache.get(id) ?? discord.channels.fetch(id).catch(() => null);
+}
+
+// ─────────────────────────────────────────────
+//  Per-server notification channels. Seeded from
+//  DISCORD_NOTIFY_CHANNELS and the primary channel's
+//  server; /notify overrides are kept in the store
+//  (null = notifications off for that server).
+// ─────────────────────────────────────────────
+function parseNotifyEnv(value = '') {
+  const out = {};
+  for (const pair of value.split(',').map(s => s.trim()).filter(Boolean)) {
+    const [guildId, channelId] = pair.split(':').map(s => s.trim());
+    if (guildId && channelId) out[guildId] = channelId;
+    else console.warn(`⚠️  Ignoring DISCORD_NOTIFY_CHANNELS entry '${pair}' — expected guildId:channelId`);
+  }
+  return out;
+}
+
+async function loadNotifyChannels() {
+  const configured = parseNotifyEnv(process.env.DISCORD_NOTIFY_CHANNELS);
+  if (discordChannel?.guildId) configured[discordChannel.guildId] ??= discordChannel.id;
+  Object.assign(configured, store.get('notifyChannels', {}));
+
+  notifyChannels.clear();
+  for (const [guildId, channelId] of Object.entries(configured)) {
+    if (!channelId) continue;
+    const channel = await fetchChannel(channelId);
+    if (channel?.isTextBased() && channel.guildId === guildId) notifyChannels.set(guildId, channel);
+    else console.warn(`⚠️  Notification channel ${channelId} for server ${guildId} is unavailable`);
+  }
+}
+
+// channel = null turns notifications off for the server
+function setNotifyChannel(guildId, channel) {
+  store.set('notifyChannels', { ...store.get('notifyChannels', {}), [guildId]: channel?.id ?? null });
+  if (channel) notifyChannels.set(guildId, channel);
+  else notifyChannels.delete(guildId);
+}
+
+// Primary channel first; falls back to it when no server has one configured
+function notifyTargets(guildId = null) {
+  if (guildId) {
+    const channel = notifyChannels.get(guildId);
+    return channel ? [channel] : [];
+  }
+  const channels = [...notifyChannels.values()];
+  if (!channels.length) return discordChannel ? [discordChannel] : [];
+  return channels.sort((a, b) => (b === discordChannel) - (a === discordChannel));
+}
+
+// Registers commands.js with Discord, only touching scopes that changed
+async function syncSlashCommands() {
+  const unhandled = commands.names().filter(n => !slashHandlers[n]);
+  if (unhandled.length) console.warn(`⚠️  No handler for /${unhandled.join(', /')}`);
+  if (!DISCORD_AUTO_REGISTER) return;
+  try {
+    const results = await commands.syncCommands({
+      token:    DISCORD_TOKEN,
+      clientId: DISCORD_CLIENT_ID || discord.application.id,
+      global:   DISCORD_GLOBAL_COMMANDS,
+      guilds:   DISCORD_GUILD_IDS,
+    });
+    for (const r of results) console.log(`🔧 Slash commands: ${commands.describeSync(r)}`);
+  } catch (err) {
+    console.warn(`⚠️  Could not register slash commands — ${err.message}`);
+  }
+}
+
+// Strip Minecraft § formatting codes
+function stripColors(str) {
+  return String(str).replace(/§./g, '');
+}
+
+function formatChatLine(sender, message) {
+  const text = escapeMarkdown(stripColors(message)).slice(0, 1900);
+  return sender ? `**${escapeMarkdown(stripColors(sender))}**: ${text}` : `*${text}*`;
+}
+
+// Bridge: game -> Discord. Goes to the account's own channel when one is
+// set, otherwise to the shared notification channel tagged with the account.
+// Lines are filtered per account, then batched + deduped by the outbox.
+async function mirrorChat(email, sender, message) {
+  const text = stripColors(message).trim();
+  if (!text) return;
+  const bot = accountData.get(email);
+  if (!passesChatFilter(bot, `${sender ? `<${stripColors(sender)}> ` : ''}${text}`)) return;
+
+  const line = formatChatLine(sender, message);
+  const dedupeKey = `${stripColors(sender)}\n${text}`;
+
+  // A bridge channel that was deleted or changed type falls back to the shared one
+  const bridge = bot?.bridgeChannelId && await fetchChannel(bot.bridgeChannelId);
+  if (bridge?.isTextBased()) {
+    outbox.enqueue(bridge, line, dedupeKey);
+  } else if (discordChannel) {
+    outbox.enqueue(discordChannel, `💬 \`${email}\` ${line}`, dedupeKey);
+  }
+}
+
+function describeAlertAction(rule) {
+  switch (rule.action) {
+    case 'ping-role': return `ping <@&${rule.target}>`;
+    case 'ping-user': return `ping <@${rule.target}>`;
+    case 'dm':        return `DM <@${rule.target}>`;
+    case 'reply':     return `reply \`${rule.reply}\``;
+  }
+}
+
+// Alerts skip the outbox — they should land immediately and are rare
+async function runAlert(email, rule, sender, message) {
+  const bot  = accountData.get(email);
+  const text = stripColors(message);
+  addLog(email, `🚨 Alert "${rule.name}" triggered`);
+
+  if (rule.action === 'reply') {
+    if (!bot?.client || bot.status !== 'Online') return;
+    // Player text must not turn the reply into a command, and a replacer
+    // keeps $& / $` / $' in it literal
+    const values = { sender: stripColors(sender ?? ''), message: text };
+    const reply = rule.reply.replace(/\{(sender|message)\}/g, (_, key) => values[key].replace(/^[\s/]+/, ''));
+    try {
+      queueChat(bot.client, reply);
+      addLog(email, `📤 Auto-reply: ${reply}`, { category: 'command' });
+    } catch (err) {
+      addLog(email, `⚠️ Auto-reply failed — ${err.message}`, { level: 'warn', category: 'command' });
+    }
+    return;
+  }
+
+  const embed = makeEmbed(`🚨 ${rule.name}`, `\`${email}\` — ${formatChatLine(sender, message)}`, 0xffb830);
+  if (rule.action === 'dm') {
+    if (!discord?.isReady()) return;
+    discord.users.fetch(rule.target)
+      .then(user => user.send({ embeds: [embed] }))
+      .catch((err) => {
+        metrics.discordSendFailures.inc({ kind: 'dm' });
+        console.warn(`⚠️  Alert DM to ${rule.target} failed: ${err.message}`);
+      });
+    return;
+  }
+
+  // A role can only be pinged in the server it belongs to
+  const isRole = rule.action === 'ping-role';
+  const roleGuild = isRole && discord?.guilds.cache.find(g => g.roles.cache.has(rule.target));
+  const [channel] = notifyTargets(roleGuild?.id ?? null);
+  if (!channel) return;
+  channel.send({
+    content: isRole ? `<@&${rule.target}>` : `<@${rule.target}>`,
+    embeds: [embed],
+    allowedMentions: isRole ? { roles: [rule.target] } : { users: [rule.target] },
+  }).catch((err) => {
+    metrics.discordSendFailures.inc({ kind: 'alert' });
+    console.warn(`⚠️  Alert ping failed: ${err.message}`);
+  });
+}
+
+function checkAlerts(email, sender, message) {
+  const bot = accountData.get(email);
+  // Never react to our own lines — an auto-reply could otherwise loop. Online
+  // sessions play as the Xbox gamertag, not the configured username.
+  const self = bot?.client?.profile?.name;
+  if (sender && self && stripColors(sender) === self) return;
+  const line = `${sender ? `<${stripColors(sender)}> ` : ''}${stripColors(message)}`;
+  for (const rule of alerts.matchRules(email, line)) runAlert(email, rule, sender, message);
+}
+
+function denyInteraction(interaction, commandName, target, denied) {
+  const who = `${interaction.user.tag} (${interaction.user.id})`;
+  console.warn(`⛔ Discord: ${who} denied /${commandName} — ${denied}`);
+  if (target) addLog(target, `⛔ Discord user ${interaction.user.tag} was denied /${commandName}.`, { level: 'warn', category: 'command' });
+  discordNotify('⛔ Permission Denied', `<@${interaction.user.id}> tried \`/${commandName}\`${target ? ` on \`${target}\`` : ''} — ${denied}.`, 0xff4560, interaction.guildId);
+  return interaction.reply({
+    embeds: [makeEmbed('⛔ Permission Denied', `You are ${denied}.`, 0xff4560)],
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+// `account` options suggest known accounts; bulk `target` suggests groups
+function handleAutocomplete(interaction) {
+  const focused = interaction.options.getFocused(true);
+  const typed = String(focused.value).toLowerCase();
+  const choices = focused.name === 'target'
+    ? ['all', ...Object.keys(groups.getGroups())]
+    : [...accountData.keys()].sort();
+  return interaction.respond(
+    choices.filter(c => c.toLowerCase().includes(typed)).slice(0, 25)
+      .filter(c => c.length <= 100)
+      .map(c => ({ name: c, value: c })),
+  ).catch(discordFailure('autocomplete'));
 }
 
 function discordUpdateActivity() {
@@ -166,46 +890,260 @@ function discordUpdateActivity() {
   const online = [...accountData.values()].filter(b => b.status === 'Online').length;
   const total  = accountData.size;
   discord.user.setActivity(
-    total === 0 ? 'donutsmp.net' : `${online}/${total} bots online`,
+    total === 0 ? DEFAULT_PROFILE.host : `${online}/${total} bots online`,
     { type: ActivityType.Watching }
   );
 }
 
+// ─────────────────────────────────────────────
+//  Status panel — one self-updating message with
+//  per-account buttons (see discord-panel.js).
+//  Its location is kept in the store so a restart
+//  edits the same message instead of posting again.
+// ─────────────────────────────────────────────
+const PANEL_UPDATE_MS = 5000;
+let panelMessage = null;
+let panelTimer = null;
+let panelLast = '';
+
+function panelAccounts() {
+  return [...accountData.entries()].map(([email, b]) => ({
+    email, status: b.status, autoReconnect: b.autoReconnect, reconnecting: !!b.reconnectTimer,
+  }));
+}
+
+// Debounced; called from broadcastUpdate. Skips the edit when nothing shown changed.
+function schedulePanelUpdate() {
+  if (!panelMessage || panelTimer) return;
+  panelTimer = setTimeout(updatePanel, PANEL_UPDATE_MS);
+}
+
+async function updatePanel() {
+  panelTimer = null;
+  if (!panelMessage) return;
+  const accounts = panelAccounts();
+  const key = JSON.stringify(accounts);
+  if (key === panelLast) return;
+  panelLast = key;
+  try {
+    await panelMessage.edit(discordPanel.buildPanel(accounts));
+  } catch (err) {
+    metrics.discordSendFailures.inc({ kind: 'panel' });
+    console.warn(`⚠️  Could not update the status panel — ${err.message}`);
+    if (err.code === 10008) { panelMessage = null; store.set('statusPanel', null); } // deleted
+    else panelLast = '';
+  }
+}
+
+async function postPanel(channel) {
+  const old = panelMessage;
+  const accounts = panelAccounts();
+  panelMessage = await channel.send(discordPanel.buildPanel(accounts));
+  panelLast = JSON.stringify(accounts);
+  store.set('statusPanel', { channelId: channel.id, messageId: panelMessage.id });
+  if (old && old.id !== panelMessage.id) old.delete().catch(discordFailure('panel'));
+}
+
+// On ready: reuse the saved panel message, or post one in the notify channel
+async function restorePanel() {
+  const saved = store.get('statusPanel', null);
+  try {
+    if (saved) {
+      const channel = await fetchChannel(saved.channelId);
+      panelMessage = await channel?.messages.fetch(saved.messageId).catch(() => null) ?? null;
+    }
+    if (panelMessage) {
+      panelLast = '';
+      await updatePanel();
+    } else if (discordChannel) {
+      await postPanel(discordChannel);
+    }
+  } catch (err) {
+    console.warn(`⚠️  Could not set up the status panel — ${err.message}`);
+  }
+}
+
+// Buttons / select / modal from the panel. Each one is permission-checked
+// as the matching slash command on that account.
+const PANEL_COMMANDS = { connect: 'connect', disconnect: 'disconnect', autorc: 'reconnect', chat: 'chat', 'chat-submit': 'chat', pick: 'status' };
+
+async function handlePanelInteraction(interaction) {
+  const parsed = discordPanel.parseCustomId(interaction.customId);
+  if (!parsed || !PANEL_COMMANDS[parsed.action]) return;
+  const { action } = parsed;
+  const email = action === 'pick' ? interaction.values[0] : parsed.email;
+  const command = PANEL_COMMANDS[action];
+
+  const bot = accountData.get(email);
+  if (!bot) {
+    return interaction.reply({ embeds: [makeEmbed('❌ Not Found', `No session for \`${email}\`.`, 0xff4560)], flags: MessageFlags.Ephemeral });
+  }
+  const denied = permissions.checkPermission(interaction, command, email);
+  if (denied) return denyInteraction(interaction, command, email, denied);
+
+  if (action === 'pick') {
+    const account = panelAccounts().find(a => a.email === email);
+    return interaction.reply({ ...discordPanel.buildControls(account), flags: MessageFlags.Ephemeral });
+  }
+  if (action === 'chat') return interaction.showModal(discordPanel.buildChatModal(email));
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+  const opts = { via: 'Discord panel' };
+  let bulkAction = action;
+  if (action === 'autorc') {
+    bulkAction = 'reconnect';
+    opts.enabled = !bot.autoReconnect;
+  } else if (action === 'chat-submit') {
+    bulkAction = 'chat';
+    opts.message = interaction.fields.getTextInputValue('message');
+  }
+  const [r] = await runBulk(bulkAction, [email], opts);
+  return interaction.editReply({ content: `${BULK_ICONS[r.result]} \`${email}\` — ${r.detail}` });
+}
+
+// ─────────────────────────────────────────────
+//  POST /login  { username, password }
+// ─────────────────────────────────────────────
+app.post('/login', (req, res) => {
+  const { username, password } = req.body;
+  const id = auth.login(String(username ?? ''), String(password ?? ''));
+  if (!id) {
+    console.warn(`🔒 Failed dashboard login for "${username}" from ${req.ip}`);
+    // Small fixed delay to slow down password guessing
+    return setTimeout(() => res.status(401).json({ error: 'Invalid username or password' }), 500);
+  }
+  res.setHeader('Set-Cookie', auth.sessionCookie(id, req));
+  res.json({ success: true });
+});
+
+// ─────────────────────────────────────────────
+//  POST /logout
+// ─────────────────────────────────────────────
+app.post('/logout', (req, res) => {
+  auth.logout(req);
+  res.setHeader('Set-Cookie', auth.clearedCookie());
+  res.json({ success: true });
+});
+
+// ─────────────────────────────────────────────
+//  GET /me
+// ─────────────────────────────────────────────
+app.get('/me', (req, res) => {
+  if (!req.user) return res.status(401).json({ error: 'Login required', authEnabled: auth.AUTH_ENABLED });
+  res.json({ ...req.user, authEnabled: auth.AUTH_ENABLED });
+});
+
 // ─────────────────────────────────────────────
 //  SSE
 // ─────────────────────────────────────────────
-app.get('/events', (req, res) => {
+app.get('/events', viewer, (req, res) => {
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
-  res.setHeader('Access-Control-Allow-Origin', '*');
   res.flushHeaders();
   const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
-  const send = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+  const send = (data) => res.write(`data: ${JSON.stringify(redactFor(req.user, data))}\n\n`);
   globalEmitter.on('update', send);
-  req.on('close', () => { clearInterval(heartbeat); globalEmitter.off('update', send); });
+  sseClients++;
+  req.on('close', () => { clearInterval(heartbeat); globalEmitter.off('update', send); sseClients--; });
 });
 
 // ─────────────────────────────────────────────
 //  GET /status
 // ─────────────────────────────────────────────
-app.get('/status', (req, res) => {
+app.get('/status', viewer, (req, res) => {
   const out = {};
   for (const [email, d] of accountData.entries()) {
-    out[email] = {
+    out[email] = redactFor(req.user, {
       status: d.status, logs: d.logs.slice(-80),
       autoReconnect: d.autoReconnect,
       reconnectAttempts: d.reconnectAttempts,
       deviceCode: d.deviceCode,
-    };
+      profile: resolveProfile(email),
+      bridgeChannelId: d.bridgeChannelId,
+      antiAfk: { ...antiAfk.resolveAntiAfk(d.antiAfk), active: !!d.stopAntiAfk },
+      world: worldState.summarizeWorld(d.world),
+    });
   }
   res.json(out);
 });
 
+// ─────────────────────────────────────────────
+//  GET /stats[?email=]
+// ─────────────────────────────────────────────
+app.get('/stats', viewer, (req, res) => {
+  const { email } = req.query;
+  if (email) {
+    const bot = accountData.get(email);
+    if (!bot) return res.status(400).json({ error: 'Session not found' });
+    return res.json(stats.summarize(bot.stats));
+  }
+  const out = {};
+  for (const [e, bot] of accountData.entries()) out[e] = stats.summarize(bot.stats);
+  res.json(out);
+});
+
+// ─────────────────────────────────────────────
+//  GET /logs  — search the on-disk log history
+//  ?account=a,b &level=warn (minimum) &category=chat,auth
+//  &q=text &from= &to= (ISO or epoch ms)
+//  &offset= &limit= (max 1000), newest first;
+//  hasMore says whether another page follows
+//  &format=jsonl|csv downloads every match instead
+// ─────────────────────────────────────────────
+app.get('/logs', viewer, async (req, res) => {
+  let filters;
+  try {
+    filters = logs.parseFilters(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const isAdmin = auth.hasRole(req.user, 'admin');
+  const { format } = req.query;
+  if (format && !['json', 'jsonl', 'csv'].includes(format)) return res.status(400).json({ error: 'format must be json, jsonl or csv' });
+
+  try {
+    if (format === 'jsonl' || format === 'csv') {
+      const { entries } = await logs.query(filters, { all: true });
+      const out = isAdmin ? entries : entries.map(redactEntry);
+      const name = `bot-logs-${new Date().toISOString().slice(0, 10)}.${format}`;
+      res.setHeader('Content-Disposition', `attachment; filename="${name}"`);
+      res.type(format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+      return res.send(format === 'csv' ? logs.toCSV(out) : logs.toJSONL(out));
+    }
+
+    const result = await logs.query(filters);
+    if (!isAdmin) result.entries = result.entries.map(redactEntry);
+    res.json(result);
+  } catch (err) {
+    console.error(`❌ Log search failed: ${err.message}`);
+    res.status(500).json({ error: `Could not read the logs: ${err.message}` });
+  }
+});
+
+// ─────────────────────────────────────────────
+//  GET /discord-permissions
+// ─────────────────────────────────────────────
+app.get('/discord-permissions', admin, (req, res) => {
+  res.json(permissions.getPermissions());
+});
+
+// ─────────────────────────────────────────────
+//  POST /discord-permissions
+//  Replaces the whole set — see permissions.js
+// ─────────────────────────────────────────────
+app.post('/discord-permissions', admin, (req, res) => {
+  try {
+    res.json(permissions.setPermissions(req.body));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 // ─────────────────────────────────────────────
 //  GET /discord-status
 // ─────────────────────────────────────────────
-app.get('/discord-status', (req, res) => {
+app.get('/discord-status', viewer, (req, res) => {
   res.json({
     enabled: DISCORD_ENABLED,
     connected: discord?.isReady() ?? false,
@@ -213,16 +1151,92 @@ app.get('/discord-status', (req, res) => {
   });
 });
 
+// ─────────────────────────────────────────────
+//  Health & metrics
+//  GET /healthz — liveness: 200 while the process
+//    serves requests
+//  GET /readyz  — 503 until the Discord gateway is
+//    ready (when Discord is enabled)
+//  Both summarize bots by status; callers with the
+//  viewer role also get per-account state, since
+//  account labels are often email addresses.
+//  GET /metrics — Prometheus text format (viewer;
+//    scrape with an API_TOKENS bearer token)
+// ─────────────────────────────────────────────
+const STARTED_AT = Date.now();
+
+function discordHealth() {
+  if (!DISCORD_ENABLED) return { enabled: false, ready: true };
+  return {
+    enabled: true,
+    ready: discord?.isReady() ?? false,
+    gateway: discord ? GatewayStatus[discord.ws.status] ?? String(discord.ws.status) : 'NotStarted',
+    ping: discord?.isReady() ? discord.ws.ping : null,
+    tag: discord?.user?.tag ?? null,
+  };
+}
+
+function countByStatus() {
+  const counts = Object.fromEntries(Object.keys(discordPanel.STATUS_ICONS).map(s => [s, 0]));
+  for (const bot of accountData.values()) counts[bot.status] = (counts[bot.status] || 0) + 1;
+  return counts;
+}
+
+function healthReport(req) {
+  const report = {
+    uptime: Math.round((Date.now() - STARTED_AT) / 1000),
+    discord: discordHealth(),
+    bots: countByStatus(),
+  };
+  if (auth.hasRole(req.user, 'viewer')) {
+    report.accounts = Object.fromEntries([...accountData].map(([email, b]) => [email, {
+      status: b.status,
+      reconnecting: !!b.reconnectTimer,
+      reconnectAttempts: b.reconnectAttempts,
+    }]));
+  }
+  return report;
+}
+
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', ...healthReport(req) });
+});
+
+app.get('/readyz', (req, res) => {
+  const report = healthReport(req);
+  const ready = report.discord.ready && !shuttingDown;
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', ...report });
+});
+
+metrics.gauge('bots', 'Accounts by connection status', () =>
+  Object.entries(countByStatus()).map(([status, value]) => ({ labels: { status }, value })));
+metrics.gauge('bot_online', '1 while the account is spawned in game', () =>
+  [...accountData].map(([account, b]) => ({ labels: { account }, value: b.status === 'Online' ? 1 : 0 })));
+metrics.gauge('sse_clients', 'Dashboard live-update connections', () => sseClients);
+metrics.gauge('discord_ready', '1 while the Discord gateway is ready', () => discord?.isReady() ? 1 : 0);
+metrics.gauge('uptime_seconds', 'Seconds since the process started', () => Math.round((Date.now() - STARTED_AT) / 1000));
+
+app.get('/metrics', viewer, (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
 // ─────────────────────────────────────────────
 //  POST /connect
+//  Optional profile fields: host, port, username,
+//  version, offline (true = no Microsoft auth)
 // ─────────────────────────────────────────────
-app.post('/connect', (req, res) => {
+app.post('/connect', admin, (req, res) => {
   const { email } = req.body;
   if (!email) return res.status(400).json({ error: 'email required' });
   const existing = accountData.get(email);
-  if (existing && ['Connecting', 'Online', 'Auth Required'].includes(existing.status)) {
+  if (existing && ACTIVE_STATUSES.includes(existing.status)) {
     return res.status(400).json({ error: 'Already connecting or connected' });
   }
+  try {
+    updateProfile(email, req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
   startBot(email, false);
   res.json({ success: true });
 });
@@ -230,18 +1244,12 @@ app.post('/connect', (req, res) => {
 // ─────────────────────────────────────────────
 //  POST /disconnect
 // ─────────────────────────────────────────────
-app.post('/disconnect', (req, res) => {
+app.post('/disconnect', admin, (req, res) => {
   const { email } = req.body;
   const bot = accountData.get(email);
   if (!bot) return res.status(400).json({ error: 'Session not found' });
-  bot.manualDisconnect = true;
-  bot.disconnectHandled = true;
-  bot.autoReconnect = false;
-  clearTimeout(bot.reconnectTimer);
-  bot.reconnectTimer = null;
-  if (bot.client) { try { bot.client.disconnect(); } catch (_) {} bot.client = null; }
-  bot.status = 'Offline';
-  addLog(email, '🔌 Manually disconnected.');
+  stopBot(email, 'Manually disconnected');
+  addLog(email, '🔌 Manually disconnected.', { category: 'connection' });
   broadcastUpdate(email);
   res.json({ success: true });
 });
@@ -249,16 +1257,12 @@ app.post('/disconnect', (req, res) => {
 // ─────────────────────────────────────────────
 //  GET /chat
 // ─────────────────────────────────────────────
-app.get('/chat', (req, res) => {
+app.get('/chat', admin, (req, res) => {
   const { email, message } = req.query;
   const bot = accountData.get(email);
   if (bot?.client && bot.status === 'Online') {
-    bot.client.queue('text', {
-      type: 'raw', needs_translation: false,
-      source_name: '', message: String(message),
-      xuid: '', platform_chat_id: '',
-    });
-    addLog(email, `📤 You: ${message}`);
+    queueChat(bot.client, message);
+    addLog(email, `📤 You: ${message}`, { category: 'command' });
     res.send('OK');
   } else {
     res.status(400).send('Bot offline');
@@ -268,7 +1272,7 @@ app.get('/chat', (req, res) => {
 // ─────────────────────────────────────────────
 //  POST /toggle-reconnect
 // ─────────────────────────────────────────────
-app.post('/toggle-reconnect', (req, res) => {
+app.post('/toggle-reconnect', admin, (req, res) => {
   const { email } = req.body;
   const bot = accountData.get(email);
   if (!bot) return res.status(400).json({ error: 'Session not found' });
@@ -281,184 +1285,932 @@ app.post('/toggle-reconnect', (req, res) => {
 // ─────────────────────────────────────────────
 //  POST /test-reconnect
 // ─────────────────────────────────────────────
-app.post('/test-reconnect', (req, res) => {
+app.post('/test-reconnect', admin, (req, res) => {
+  const { email } = req.body;
+  const bot = accountData.get(email);
+  if (!bot) return res.status(400).json({ error: 'Session not found' });
+  if (!bot.client || bot.status !== 'Online') {
+    return res.status(400).json({ error: 'Bot must be online to test reconnect' });
+  }
+  addLog(email, '⚡ TEST: Forcing disconnect to verify reconnect logic...', { level: 'warn', category: 'connection' });
+  broadcastUpdate(email);
+  try { bot.client.disconnect(); } catch (_) {}
+  res.json({ success: true });
+});
+
+// ─────────────────────────────────────────────
+//  POST /set-reconnect
+// ─────────────────────────────────────────────
+app.post('/set-reconnect', admin, (req, res) => {
+  const { email, enabled } = req.body;
+  const bot = accountData.get(email);
+  if (!bot) return res.status(400).json({ error: 'Session not found' });
+  bot.autoReconnect = !!enabled;
+  addLog(email, `🔁 Auto-reconnect set to ${bot.autoReconnect ? 'ON' : 'OFF'}`);
+  broadcastUpdate(email);
+  res.json({ autoReconnect: bot.autoReconnect });
+});
+
+// ─────────────────────────────────────────────
+//  POST /bridge  { email, channelId }
+//  channelId: Discord channel/thread ID, or null
+//  to fall back to the shared channel. It has to
+//  be a text channel or thread the bot can see.
+// ─────────────────────────────────────────────
+app.post('/bridge', admin, async (req, res) => {
+  const { email, channelId } = req.body;
+  if (!accountData.has(email)) return res.status(400).json({ error: 'Session not found' });
+  if (channelId) {
+    if (!/^\d{5,25}$/.test(String(channelId))) return res.status(400).json({ error: 'channelId must be a Discord ID' });
+    if (!discord?.isReady()) return res.status(400).json({ error: 'Discord is not connected' });
+    const channel = await fetchChannel(String(channelId));
+    if (!channel?.isTextBased()) return res.status(400).json({ error: 'channelId must be a text channel or thread the bot can see' });
+  }
+  setBridge(email, channelId ? String(channelId) : null);
+  res.json({ bridgeChannelId: accountData.get(email).bridgeChannelId });
+});
+
+// ─────────────────────────────────────────────
+//  GET /chat-filter?email=
+// ─────────────────────────────────────────────
+app.get('/chat-filter', viewer, (req, res) => {
+  const bot = accountData.get(req.query.email);
+  if (!bot) return res.status(400).json({ error: 'Session not found' });
+  res.json(bot.chatFilter || { include: [], exclude: [] });
+});
+
+// ─────────────────────────────────────────────
+//  POST /chat-filter  { email, include, exclude }
+//  Regex sources, case-insensitive. A line is
+//  mirrored if it matches any include (or include
+//  is empty) and no exclude.
+// ─────────────────────────────────────────────
+app.post('/chat-filter', admin, (req, res) => {
+  const { email } = req.body;
+  const bot = accountData.get(email);
+  if (!bot) return res.status(400).json({ error: 'Session not found' });
+  try {
+    const filter = parseChatFilter(req.body);
+    bot.chatFilter = filter.include.length || filter.exclude.length ? filter : null;
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  addLog(email, `🧹 Chat filter updated (${bot.chatFilter?.include.length ?? 0} include, ${bot.chatFilter?.exclude.length ?? 0} exclude)`);
+  res.json(bot.chatFilter || { include: [], exclude: [] });
+});
+
+// ─────────────────────────────────────────────
+//  GET /reconnect-policy?email=
+//  overrides = what's stored for the account,
+//  effective = merged with the defaults
+// ─────────────────────────────────────────────
+app.get('/reconnect-policy', viewer, (req, res) => {
+  const bot = accountData.get(req.query.email);
+  if (!bot) return res.status(400).json({ error: 'Session not found' });
+  res.json({ overrides: bot.reconnectPolicy, effective: reconnectPolicy.resolvePolicy(bot.reconnectPolicy) });
+});
+
+// ─────────────────────────────────────────────
+//  POST /reconnect-policy  { email, ...policy }
+//  Replaces the account's overrides — send only
+//  { email } to go back to the defaults. Fields
+//  are documented in reconnect-policy.js.
+// ─────────────────────────────────────────────
+app.post('/reconnect-policy', admin, (req, res) => {
+  const { email, ...input } = req.body;
+  const bot = accountData.get(email);
+  if (!bot) return res.status(400).json({ error: 'Session not found' });
+  try {
+    bot.reconnectPolicy = reconnectPolicy.parsePolicy(input);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  addLog(email, `🔁 Reconnect policy updated${Object.keys(bot.reconnectPolicy).length ? '' : ' (defaults)'}`);
+  enforceSchedules();
+  res.json({ overrides: bot.reconnectPolicy, effective: reconnectPolicy.resolvePolicy(bot.reconnectPolicy) });
+});
+
+// ─────────────────────────────────────────────
+//  GET /anti-afk?email=
+// ─────────────────────────────────────────────
+app.get('/anti-afk', viewer, (req, res) => {
+  const bot = accountData.get(req.query.email);
+  if (!bot) return res.status(400).json({ error: 'Session not found' });
+  res.json({ ...antiAfk.resolveAntiAfk(bot.antiAfk), active: !!bot.stopAntiAfk });
+});
+
+// ─────────────────────────────────────────────
+//  POST /anti-afk  { email, enabled, pattern,
+//                    interval, method }
+//  Partial updates — see anti-afk.js
+// ─────────────────────────────────────────────
+app.post('/anti-afk', admin, (req, res) => {
+  const { email, ...input } = req.body;
+  const bot = accountData.get(email);
+  if (!bot) return res.status(400).json({ error: 'Session not found' });
+  try {
+    bot.antiAfk = { ...bot.antiAfk, ...antiAfk.parseAntiAfk(input) };
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  // Restarts (or stops) the running loop with the new settings
+  if (bot.status === 'Online') startAntiAfk(email);
+  if (!bot.stopAntiAfk) addLog(email, `🕹️ Anti-AFK ${antiAfk.resolveAntiAfk(bot.antiAfk).enabled ? 'enabled — starts on next spawn' : 'disabled'}`);
+  broadcastUpdate(email);
+  res.json({ ...antiAfk.resolveAntiAfk(bot.antiAfk), active: !!bot.stopAntiAfk });
+});
+
+// ─────────────────────────────────────────────
+//  GET /world?email=
+// ─────────────────────────────────────────────
+app.get('/world', viewer, (req, res) => {
+  const bot = accountData.get(req.query.email);
+  if (!bot) return res.status(400).json({ error: 'Session not found' });
+  res.json({ options: worldState.resolveWorldOptions(bot.worldOptions), world: worldState.summarizeWorld(bot.world) });
+});
+
+// ─────────────────────────────────────────────
+//  POST /world-options  { email, autoRespawn,
+//    proximityRadius, proximityCooldown }
+// ─────────────────────────────────────────────
+app.post('/world-options', admin, (req, res) => {
+  const { email, ...input } = req.body;
+  const bot = accountData.get(email);
+  if (!bot) return res.status(400).json({ error: 'Session not found' });
+  try {
+    bot.worldOptions = { ...bot.worldOptions, ...worldState.parseWorldOptions(input) };
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const o = worldState.resolveWorldOptions(bot.worldOptions);
+  addLog(email, `🌍 World options: auto-respawn ${o.autoRespawn ? 'ON' : 'OFF'}, proximity ${o.proximityRadius ? `${o.proximityRadius} blocks` : 'OFF'}`);
+  // Respawn now if we're sitting dead and it was just switched on
+  if (o.autoRespawn && bot.world?.dead && bot.client) worldState.requestRespawn(bot.client, bot.world);
+  res.json(o);
+});
+
+// ─────────────────────────────────────────────
+//  GET /msa — Microsoft sign-in state per account:
+//  { status, deviceCode (with countdown; the code
+//  itself is admin-only), token: { updatedAt,
+//  refreshable } | null }. Includes accounts that
+//  only have a cached token left on disk.
+// ─────────────────────────────────────────────
+app.get('/msa', viewer, (req, res) => {
+  const isAdmin = auth.hasRole(req.user, 'admin');
+  const emails = new Set([...accountData.keys(), ...msa.listCached().map(t => t.email)]);
+  const out = {};
+  for (const email of [...emails].sort()) {
+    const bot = accountData.get(email);
+    const code = bot?.status === 'Auth Required' ? bot.deviceCode : null;
+    out[email] = {
+      status: bot?.status ?? null,
+      offline: resolveProfile(email).offline,
+      deviceCode: code && {
+        ...msa.describeDeviceCode(code),
+        ...(isAdmin && { userCode: code.userCode, verificationUri: code.verificationUri }),
+      },
+      token: msa.tokenInfo(email),
+    };
+  }
+  res.json(out);
+});
+
+// ─────────────────────────────────────────────
+//  POST /msa/forget   { email }
+//  POST /msa/reauth   { email } — forget + reconnect
+//                     for a fresh sign-in code
+// ─────────────────────────────────────────────
+app.post('/msa/forget', admin, (req, res) => {
+  const { email } = req.body;
+  if (!email) return res.status(400).json({ error: 'email required' });
+  res.json({ success: true, forgotten: forgetAccountToken(email, `dashboard: ${req.user.username}`) });
+});
+
+app.post('/msa/reauth', admin, (req, res) => {
+  const { email } = req.body;
+  if (!email) return res.status(400).json({ error: 'email required' });
+  try {
+    reauthenticate(email, `dashboard: ${req.user.username}`);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  res.json({ success: true });
+});
+
+// ─────────────────────────────────────────────
+//  GET /balance?email=   (all accounts if omitted)
+// ─────────────────────────────────────────────
+app.get('/balance', viewer, (req, res) => {
+  const { email } = req.query;
+  if (email) {
+    const bot = accountData.get(email);
+    if (!bot) return res.status(400).json({ error: 'Session not found' });
+    return res.json(economy.summarizeLedger(bot.ledger));
+  }
+  const out = {};
+  for (const [e, bot] of accountData.entries()) out[e] = economy.summarizeLedger(bot.ledger);
+  res.json(out);
+});
+
+// ─────────────────────────────────────────────
+//  GET /inventory?email=   (all accounts if omitted)
+// ─────────────────────────────────────────────
+app.get('/inventory', viewer, (req, res) => {
+  const { email } = req.query;
+  if (email) {
+    const bot = accountData.get(email);
+    if (!bot) return res.status(400).json({ error: 'Session not found' });
+    return res.json(inventory.summarizeInventory(bot.inventory));
+  }
+  const out = {};
+  for (const [e, bot] of accountData.entries()) out[e] = inventory.summarizeInventory(bot.inventory);
+  res.json(out);
+});
+
+// ─────────────────────────────────────────────
+//  GET /economy?email=
+// ─────────────────────────────────────────────
+app.get('/economy', viewer, (req, res) => {
+  const bot = accountData.get(req.query.email);
+  if (!bot) return res.status(400).json({ error: 'Session not found' });
+  res.json(economy.resolveEconomy(bot.economy));
+});
+
+// ─────────────────────────────────────────────
+//  POST /economy  { email, balancePattern,
+//    paymentInPattern, paymentOutPattern,
+//    balanceCommand, pollMinutes }
+//  Partial update; null resets a field to default
+// ─────────────────────────────────────────────
+app.post('/economy', admin, (req, res) => {
+  const { email, ...input } = req.body;
+  const bot = accountData.get(email);
+  if (!bot) return res.status(400).json({ error: 'Session not found' });
+  const next = { ...bot.economy };
+  for (const [k, v] of Object.entries(input)) if (v === null) { delete next[k]; delete input[k]; }
+  try {
+    Object.assign(next, economy.parseEconomy(input));
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  bot.economy = next;
+  const config = economy.resolveEconomy(next);
+  addLog(email, `💰 Economy tracking updated (poll ${config.pollMinutes ? `every ${config.pollMinutes}m via ${config.balanceCommand}` : 'OFF'})`);
+  if (bot.status === 'Online') startBalancePoll(email);
+  res.json(config);
+});
+
+// ─────────────────────────────────────────────
+//  GET /groups
+// ─────────────────────────────────────────────
+app.get('/groups', viewer, (req, res) => {
+  res.json(groups.getGroups());
+});
+
+// ─────────────────────────────────────────────
+//  POST /groups  { name, accounts: [..] | 'a,b' }
+//  Replaces the group; empty accounts deletes it
+// ─────────────────────────────────────────────
+app.post('/groups', admin, (req, res) => {
+  try {
+    const members = groups.setGroup(req.body.name, req.body.accounts ?? []);
+    res.json({ name: String(req.body.name).trim().toLowerCase(), accounts: members });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────
+//  POST /groups/remove  { name }
+// ─────────────────────────────────────────────
+app.post('/groups/remove', admin, (req, res) => {
+  if (!groups.deleteGroup(req.body.name)) return res.status(400).json({ error: 'Group not found' });
+  res.json({ success: true });
+});
+
+// ─────────────────────────────────────────────
+//  POST /bulk  { action, target, message?, enabled? }
+//  action: connect | disconnect | chat | reconnect
+//  target: group name, or 'all' / omitted
+//  Responds once every connect has been started
+// ─────────────────────────────────────────────
+app.post('/bulk', admin, async (req, res) => {
+  const { action, target, message, enabled } = req.body;
+  let emails;
+  try {
+    emails = groups.resolveTarget(target, accountData.keys());
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    const results = await runBulk(action, emails, { message, enabled });
+    res.json({ action, target: target || 'all', results });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────
+//  GET /alerts
+// ─────────────────────────────────────────────
+app.get('/alerts', viewer, (req, res) => {
+  res.json(alerts.listRules());
+});
+
+// ─────────────────────────────────────────────
+//  POST /alerts — add a rule (see alerts.js)
+// ─────────────────────────────────────────────
+app.post('/alerts', admin, (req, res) => {
+  try {
+    res.json(alerts.addRule(req.body));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────
+//  POST /alerts/remove  { id }
+// ─────────────────────────────────────────────
+app.post('/alerts/remove', admin, (req, res) => {
+  const rule = alerts.removeRule(req.body.id);
+  if (!rule) return res.status(400).json({ error: 'Rule not found' });
+  res.json({ success: true });
+});
+
+// ─────────────────────────────────────────────
+//  Webhooks (see webhooks.js)
+//  GET  /webhooks          — hooks + delivery stats
+//                            (secrets hidden)
+//  POST /webhooks          — add, or update with { id }
+//  POST /webhooks/remove   { id }
+//  POST /webhooks/test     { id } — send a 'test' event
+//  GET  /webhooks/schema   — JSON Schema of the envelope
+// ─────────────────────────────────────────────
+app.get('/webhooks', admin, (req, res) => {
+  res.json({ events: webhooks.EVENT_TYPES, formats: webhooks.FORMATS, hooks: webhooks.listHooks().map(webhooks.describeHook) });
+});
+
+app.post('/webhooks', admin, (req, res) => {
+  const { id, ...input } = req.body;
+  try {
+    const hook = id ? webhooks.updateHook(id, input) : webhooks.addHook(input);
+    if (!hook) return res.status(400).json({ error: 'Webhook not found' });
+    console.log(`🪝 Webhook ${hook.id} ${id ? 'updated' : 'added'} → ${hook.url}`);
+    res.json(webhooks.describeHook(hook));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/webhooks/remove', admin, (req, res) => {
+  const hook = webhooks.removeHook(req.body.id);
+  if (!hook) return res.status(400).json({ error: 'Webhook not found' });
+  res.json({ success: true });
+});
+
+app.post('/webhooks/test', admin, (req, res) => {
+  const event = webhooks.sendTest(req.body.id);
+  if (!event) return res.status(400).json({ error: 'Webhook not found' });
+  res.json({ success: true, event });
+});
+
+app.get('/webhooks/schema', viewer, (req, res) => {
+  res.json(webhooks.EVENT_SCHEMA);
+});
+
+// ─────────────────────────────────────────────
+//  Test receiver — point a webhook at
+//  <dashboard>/webhooks/receiver to check payloads.
+//  No login (the bot posts here itself), so it only
+//  accepts deliveries naming a configured hook, with
+//  a valid, recent signature when that hook has a
+//  secret.
+//  GET shows the last RECEIVER_KEEP, newest first.
+// ─────────────────────────────────────────────
+const RECEIVER_KEEP = 50;
+const received = [];
+
+app.post('/webhooks/receiver', express.text({ type: 'text/*' }), (req, res) => {
+  const hook = webhooks.listHooks().find(h => h.id === req.get('X-Bot-Webhook'));
+  if (!hook) return res.status(404).json({ error: 'Unknown webhook' });
+  const raw = typeof req.body === 'string' ? req.body : req.rawBody?.toString('utf8') ?? '';
+  if (!webhooks.verify(hook, req.headers, raw)) return res.status(401).json({ error: 'Invalid or expired signature' });
+
+  received.unshift({
+    receivedAt: new Date().toISOString(),
+    webhook: hook.id,
+    event: req.get('X-Bot-Event'),
+    delivery: req.get('X-Bot-Delivery'),
+    signed: !!hook.secret,
+    contentType: req.get('Content-Type'),
+    body: req.body,
+  });
+  received.length = Math.min(received.length, RECEIVER_KEEP);
+  res.json({ ok: true });
+});
+
+app.get('/webhooks/receiver', admin, (req, res) => {
+  res.json(received);
+});
+
+// ─────────────────────────────────────────────
+//  GET /script?email=
+// ─────────────────────────────────────────────
+app.get('/script', viewer, (req, res) => {
+  const bot = accountData.get(req.query.email);
+  if (!bot) return res.status(400).json({ error: 'Session not found' });
+  res.json(bot.script || DEFAULT_SCRIPT);
+});
+
+// ─────────────────────────────────────────────
+//  POST /script
+//  { email, onSpawn: [step], repeat: [step], repeatInterval }
+//  step = { action: 'chat', message } | { action: 'wait', seconds }
+// ─────────────────────────────────────────────
+app.post('/script', admin, (req, res) => {
   const { email } = req.body;
   const bot = accountData.get(email);
   if (!bot) return res.status(400).json({ error: 'Session not found' });
-  if (!bot.client || bot.status !== 'Online') {
-    return res.status(400).json({ error: 'Bot must be online to test reconnect' });
+  try {
+    bot.script = parseScript(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
   }
-  addLog(email, '⚡ TEST: Forcing disconnect to verify reconnect logic...');
-  broadcastUpdate(email);
-  try { bot.client.disconnect(); } catch (_) {}
-  res.json({ success: true });
+  addLog(email, `📜 Script saved (${bot.script.onSpawn.length} on-spawn, ${bot.script.repeat.length} repeating steps)`);
+
+  // Re-arm the repeating timer straight away if the bot is already in game
+  if (bot.status === 'Online') {
+    stopScripts(bot);
+    armRepeat(email);
+  }
+  res.json(bot.script);
 });
 
 // ─────────────────────────────────────────────
-//  POST /set-reconnect
+//  POST /script/preview
+//  Same body as POST /script (or just { email }
+//  to preview the saved one). Sends nothing.
 // ─────────────────────────────────────────────
-app.post('/set-reconnect', (req, res) => {
-  const { email, enabled } = req.body;
-  const bot = accountData.get(email);
-  if (!bot) return res.status(400).json({ error: 'Session not found' });
-  bot.autoReconnect = !!enabled;
-  addLog(email, `🔁 Auto-reconnect set to ${bot.autoReconnect ? 'ON' : 'OFF'}`);
-  broadcastUpdate(email);
-  res.json({ autoReconnect: bot.autoReconnect });
+app.post('/script/preview', viewer, (req, res) => {
+  const { email, onSpawn, repeat } = req.body;
+  let script;
+  try {
+    script = (onSpawn || repeat)
+      ? parseScript(req.body)
+      : (accountData.get(email)?.script || DEFAULT_SCRIPT);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  res.json(previewScript(script));
 });
 
 // ─────────────────────────────────────────────
 //  Internal helpers
 // ─────────────────────────────────────────────
-function addLog(email, message) {
+function queueChat(client, message) {
+  metrics.chatMessages.inc({ direction: 'out' });
+  client.queue('text', {
+    type: 'raw', needs_translation: false,
+    source_name: '', message: String(message),
+    xuid: '', platform_chat_id: '',
+  });
+}
+
+// Player chat arrives either as type 'chat' with source_name set, or as a
+// 'translation' of chat.type.text with [sender, message] parameters
+function parseChatPacket(packet) {
+  if (packet.type === 'translation' && /chat\.type\.(text|announcement)/.test(packet.message || '') && packet.parameters?.length >= 2) {
+    return { sender: packet.parameters[0], message: packet.parameters.slice(1).join(' ') };
+  }
+  return {
+    sender: packet.source_name || '',
+    message: packet.message || packet.parameters?.join(' ') || '',
+  };
+}
+
+// ─────────────────────────────────────────────
+//  Chat filters (Discord mirror only — the log
+//  still gets every line). Patterns are tested
+//  against "<sender> message" with § codes removed.
+// ─────────────────────────────────────────────
+function parseChatFilter(input = {}) {
+  const compile = (list, field) => {
+    if (list === undefined) return [];
+    if (!Array.isArray(list) || list.length > 50) throw new Error(`${field} must be an array of up to 50 patterns`);
+    return list.map((src) => {
+      src = String(src);
+      if (src.length > 200) throw new Error(`${field}: pattern longer than 200 chars`);
+      try { new RegExp(src, 'i'); } catch (err) { throw new Error(`${field}: ${err.message}`); }
+      return src;
+    });
+  };
+  return { include: compile(input.include, 'include'), exclude: compile(input.exclude, 'exclude') };
+}
+
+// Compiled regexes are cached on the bot and rebuilt when the filter changes
+function passesChatFilter(bot, line) {
+  const filter = bot?.chatFilter;
+  if (!filter) return true;
+  if (bot.chatFilterCompiled?.source !== filter) {
+    bot.chatFilterCompiled = {
+      source:  filter,
+      include: filter.include.map(p => new RegExp(p, 'i')),
+      exclude: filter.exclude.map(p => new RegExp(p, 'i')),
+    };
+  }
+  const { include, exclude } = bot.chatFilterCompiled;
+  if (include.length && !include.some(re => re.test(line))) return false;
+  return !exclude.some(re => re.test(line));
+}
+
+function setBridge(email, channelId) {
+  const bot = accountData.get(email);
+  bot.bridgeChannelId = channelId;
+  addLog(email, channelId ? `🌉 Chat bridge set to Discord channel ${channelId}` : '🌉 Chat bridge removed');
+  broadcastUpdate(email);
+}
+
+// opts: { level, category, sensitive } — see logs.js.
+// Sensitive entries (device codes) are only shown to admins.
+function addLog(email, message, opts = {}) {
   const bot = accountData.get(email);
   if (!bot) return;
-  bot.logs.push({ time: new Date().toLocaleTimeString('en-US', { hour12: false }), message });
+  const entry = logs.createEntry(email, message, opts);
+  logs.write(entry);
+  bot.logs.push(entry);
   if (bot.logs.length > 200) bot.logs.shift();
   broadcastUpdate(email);
 }
 
+const redactEntry = (e) => e.sensitive ? { ...e, message: '🔒 [hidden — admin only]' } : e;
+
+// Strip device codes and sensitive log lines from a status/update payload
+// for anyone below admin. Other event types (world) carry neither; /status
+// entries have no type and are redacted like updates.
+function redactFor(user, payload) {
+  if (auth.hasRole(user, 'admin') || (payload.type && payload.type !== 'update')) return payload;
+  return {
+    ...payload,
+    deviceCode: msa.describeDeviceCode(payload.deviceCode),
+    logs: payload.logs?.map(redactEntry),
+  };
+}
+
 function broadcastUpdate(email) {
   const bot = accountData.get(email);
   if (!bot) return;
+  stats.trackStatus(bot.stats, bot.status);
+  if (bot.status !== bot.reportedStatus) {
+    webhooks.emit('status', email, { status: bot.status, previous: bot.reportedStatus });
+    bot.reportedStatus = bot.status;
+  }
   globalEmitter.emit('update', {
     type: 'update', email,
     status: bot.status, logs: bot.logs.slice(-30),
     autoReconnect: bot.autoReconnect,
     reconnectAttempts: bot.reconnectAttempts,
     deviceCode: bot.deviceCode,
+    profile: resolveProfile(email),
+    bridgeChannelId: bot.bridgeChannelId,
+    antiAfk: { ...antiAfk.resolveAntiAfk(bot.antiAfk), active: !!bot.stopAntiAfk },
+    world: worldState.summarizeWorld(bot.world),
   });
   discordUpdateActivity();
+  schedulePanelUpdate();
+  persistAccount(email);
 }
 
 // ─────────────────────────────────────────────
 //  handleSessionEnd
 // ─────────────────────────────────────────────
+// Metric label for a disconnect reason. Reasons carry free text — kick
+// messages, error messages, who pressed disconnect — so only the part
+// before " — ", " (" or " in " counts, and anything else is 'other'.
+const DISCONNECT_KINDS = new Set([
+  'Disconnected by server', 'Connection ended', 'Connection lost', 'Connection closed',
+  'Error', 'Internal error', 'Client creation failed',
+  'Manually disconnected', 'Disconnected via Discord', 'Disconnected',
+  'Sign-in code expired', 'Re-authenticating', 'Outside online schedule', 'Bot manager shut down',
+]);
+function disconnectKind(reason) {
+  const kind = String(reason).split(/ — | \(| in /)[0];
+  return DISCONNECT_KINDS.has(kind) ? kind : 'other';
+}
+
 function handleSessionEnd(email, reason, isError = false) {
   const bot = accountData.get(email);
   if (!bot || bot.disconnectHandled) return;
   bot.disconnectHandled = true;
+  stats.recordDisconnect(bot.stats, reason);
+  metrics.disconnects.inc({ account: email, reason: disconnectKind(reason) });
   bot.status = isError ? 'Error' : 'Offline';
   bot.client = null;
+  stopSessionTasks(bot);
 
-  addLog(email, `${isError ? '❌' : '🔌'} ${reason}`);
+  addLog(email, `${isError ? '❌' : '🔌'} ${reason}`, { level: isError ? 'error' : 'warn', category: 'connection' });
   broadcastUpdate(email);
 
+  const plan = scheduleReconnect(email, reason);
+  webhooks.emit('disconnect', email, { reason, error: isError, reconnect: plan || null });
+
   discordNotify(
     isError ? '❌ Bot Error' : '🔌 Bot Disconnected',
-    `\`${email}\` — ${reason}${bot.autoReconnect && !bot.manualDisconnect ? '\n🔁 Auto-reconnect is scheduled.' : ''}`,
+    `\`${email}\` — ${reason}${plan ? `\n${plan}` : ''}`,
     isError ? 0xff4560 : 0xffb830
   );
+}
+
+// disconnect() is a no-op until the handshake starts, so a client stopped
+// while still pinging the server would go on to connect. close() drops its
+// listeners so it never does; the RakNet socket it opens once the ping
+// answers is closed straight away.
+function endClient(client) {
+  try { client.disconnect(); } catch (_) {}
+  try { client.close(); } catch (_) {}
+  client.once('connect_allowed', () => client.close());
+}
 
-  if (!bot.manualDisconnect && bot.autoReconnect) {
-    scheduleReconnect(email);
+// Tear a session down without going through handleSessionEnd.
+// manual = the user asked for it, so auto-reconnect is switched off too.
+function stopBot(email, reason, { manual = true } = {}) {
+  const bot = accountData.get(email);
+  bot.manualDisconnect = manual;
+  bot.disconnectHandled = true;
+  if (manual) {
+    bot.autoReconnect = false;
+    bot.scheduledOffline = false;
+    bot.codeRetries = 0;
+  }
+  clearTimeout(bot.reconnectTimer);
+  bot.reconnectTimer = null;
+  stopSessionTasks(bot);
+  if (bot.client) { endClient(bot.client); bot.client = null; }
+  if (bot.status !== 'Offline') {
+    stats.recordDisconnect(bot.stats, reason);
+    metrics.disconnects.inc({ account: email, reason: disconnectKind(reason) });
   }
+  bot.status = 'Offline';
 }
 
 // ─────────────────────────────────────────────
-//  startBot
+//  Per-account isolation — an exception in one
+//  account's packet handler or timer ends that
+//  session (and lets auto-reconnect retry it)
+//  instead of reaching the process. Both also
+//  run their callback inside sessionContext, so
+//  a timer or promise it starts that later throws
+//  can still be traced back to the session.
 // ─────────────────────────────────────────────
-function startBot(email, isReconnect = false) {
-  if (!accountData.has(email)) {
-    accountData.set(email, {
-      client: null, status: 'Connecting', logs: [],
-      autoReconnect: true, reconnectAttempts: 0,
-      manualDisconnect: false, deviceCode: null,
-      reconnectTimer: null, disconnectHandled: false,
-    });
+const sessionContext = new AsyncLocalStorage(); // { email, client }
+function failSession(email, where, err) {
+  console.error(`❌ ${email}: ${where} threw —`, err);
+  const client = accountData.get(email)?.client;
+  handleSessionEnd(email, `Internal error in ${where} — ${err.message}`, true);
+  if (client) endClient(client);
+}
+
+function isolate(email, where, fn) {
+  try {
+    return sessionContext.run({ email, client: accountData.get(email)?.client ?? null }, fn);
+  } catch (err) {
+    failSession(email, where, err);
+  }
+}
+
+// bedrock-protocol calls emit() from its packet loop, so a throwing listener
+// (ours or world-state / inventory / anti-afk) surfaces here
+function isolateClient(email, client) {
+  const emit = client.emit.bind(client);
+  client.emit = (event, ...args) => {
+    try {
+      return sessionContext.run({ email, client }, () => emit(event, ...args));
+    } catch (err) {
+      if (accountData.get(email)?.client !== client) return false;
+      failSession(email, `'${event}' handler`, err);
+      return true;
+    }
+  };
+}
+
+// ─────────────────────────────────────────────
+//  Microsoft sign-in (see msa.js)
+// ─────────────────────────────────────────────
+// The account rule's users, or whoever owns the Discord application
+async function accountOwners(email) {
+  const owners = permissions.accountOwners(email);
+  if (owners.length || !discord?.isReady()) return owners;
+  const app = await discord.application.fetch().catch(() => null);
+  const owner = app?.owner;
+  return owner ? [owner.ownerId ?? owner.id] : [];
+}
+
+// Discord renders <t:…:R> as a live "in 12 minutes" countdown
+const discordRelative = (ms) => `<t:${Math.floor(ms / 1000)}:R>`;
+
+function deviceCodeEmbed(email, code) {
+  return makeEmbed(
+    '🔑 Microsoft Auth Required',
+    `**Account:** \`${email}\`\n**Code:** \`${code.userCode}\`\n**URL:** ${code.verificationUri}\n**Expires:** ${discordRelative(code.expiresAt)}` +
+    (code.attempt > 1 ? `\n_New code — the previous one expired (attempt ${code.attempt})._` : ''),
+    0x00c6ff
+  );
+}
+
+// The code goes to the owners by DM; the shared channel only hears that
+// a sign-in is waiting
+async function sendDeviceCode(email, code) {
+  const embed = deviceCodeEmbed(email, code);
+  const delivered = [];
+  for (const id of await accountOwners(email)) {
+    try {
+      const user = await discord.users.fetch(id);
+      await user.send({ embeds: [embed] });
+      delivered.push(id);
+    } catch (err) {
+      metrics.discordSendFailures.inc({ kind: 'dm' });
+      console.warn(`⚠️  Could not DM the sign-in code for ${email} to ${id}: ${err.message}`);
+    }
   }
+  if (!delivered.length) addLog(email, '⚠️ Sign-in code could not be sent by DM — get it from the dashboard or /auth code.', { level: 'warn', category: 'auth' });
+
+  discordNotify(
+    '🔑 Microsoft Auth Required',
+    `\`${email}\` is waiting for sign-in — the code expires ${discordRelative(code.expiresAt)}.\n` +
+    (delivered.length ? `Sent by DM to ${delivered.map(id => `<@${id}>`).join(', ')}.` : 'Get the code from the dashboard or `/auth code`.'),
+    0x00c6ff
+  );
+}
 
+// Nobody entered the code in time: restart the session for a fresh one,
+// up to msa.CODE_RETRIES times in a row
+function handleCodeExpired(email) {
   const bot = accountData.get(email);
+  if (bot.codeRetries >= msa.CODE_RETRIES) {
+    stopBot(email, 'Sign-in code expired', { manual: false });
+    bot.status = 'Error';
+    bot.deviceCode = null;
+    bot.codeRetries = 0;
+    addLog(email, `⌛ Sign-in code expired ${msa.CODE_RETRIES + 1} times in a row — giving up. Re-authenticate to try again.`, { level: 'error', category: 'auth' });
+    broadcastUpdate(email);
+    discordNotify('⌛ Sign-in Abandoned', `\`${email}\` — nobody entered the sign-in code. Use \`/auth reauth\` or the dashboard to try again.`, 0xff4560);
+    return;
+  }
+  bot.codeRetries += 1;
+  addLog(email, '⌛ Sign-in code expired — requesting a new one...', { level: 'warn', category: 'auth' });
+  stopBot(email, 'Sign-in code expired', { manual: false });
+  startBot(email);
+}
+
+// Pulls the account's tokens out of bedrock-protocol's shared default folder
+function adoptLegacyToken(email) {
+  try {
+    const moved = msa.adoptLegacyCache(email, resolveProfile(email).username);
+    if (moved && accountData.has(email)) addLog(email, `🔑 Moved the cached Microsoft token from ${msa.LEGACY_DIR} — no new sign-in needed.`, { category: 'auth' });
+  } catch (err) {
+    if (accountData.has(email)) addLog(email, `⚠️ Could not move the cached Microsoft token from ${msa.LEGACY_DIR} — ${err.message}`, { level: 'warn', category: 'auth' });
+  }
+}
+
+// Deletes the cached Microsoft token; the next connect asks for a new code
+function forgetAccountToken(email, via) {
+  // Otherwise the next start would pick the old shared copy back up
+  adoptLegacyToken(email);
+  const forgotten = msa.forgetToken(email);
+  if (accountData.has(email)) addLog(email, `🧹 Cached Microsoft token ${forgotten ? 'forgotten' : 'was already empty'} (${via}).`, { level: 'warn', category: 'auth' });
+  return forgotten;
+}
+
+// Forget the token and reconnect straight away to get a fresh code. Throws for offline profiles.
+function reauthenticate(email, via) {
+  if (resolveProfile(email).offline) throw new Error(`${email} uses offline mode — there is no Microsoft sign-in`);
+  const bot = accountData.get(email) || createAccount(email);
+  forgetAccountToken(email, via);
+  if (ACTIVE_STATUSES.includes(bot.status) || bot.reconnectTimer) stopBot(email, 'Re-authenticating', { manual: false });
+  bot.codeRetries = 0;
+  addLog(email, '🔑 Re-authenticating — requesting a new sign-in code...', { category: 'auth' });
+  startBot(email);
+}
+
+// ─────────────────────────────────────────────
+//  startBot
+// ─────────────────────────────────────────────
+function startBot(email, isReconnect = false) {
+  if (shuttingDown) return;
+  const bot = accountData.get(email) || createAccount(email);
+  const profile = resolveProfile(email);
+  const target  = `${profile.host}:${profile.port}`;
   bot.status = 'Connecting';
   bot.deviceCode = null;
   bot.manualDisconnect = false;
   bot.disconnectHandled = false;
+  bot.scheduledOffline = false;
 
   if (isReconnect) {
     bot.reconnectAttempts += 1;
-    addLog(email, `🔄 Reconnect attempt #${bot.reconnectAttempts} — connecting to donutsmp.net...`);
+    metrics.reconnectAttempts.inc({ account: email });
+    addLog(email, `🔄 Reconnect attempt #${bot.reconnectAttempts} — connecting to ${target}...`, { category: 'connection' });
   } else {
     bot.reconnectAttempts = 0;
-    addLog(email, '🚀 Starting connection to donutsmp.net:19132...');
-    discordNotify('🚀 Connecting', `\`${email}\` is connecting to donutsmp.net...`, 0x00c6ff);
+    addLog(email, `🚀 Starting connection to ${target}${profile.offline ? ' (offline mode)' : ''}...`, { category: 'connection' });
+    discordNotify('🚀 Connecting', `\`${email}\` is connecting to ${target}...`, 0x00c6ff);
   }
 
   broadcastUpdate(email);
+  if (!profile.offline) adoptLegacyToken(email);
 
   let client;
   try {
     client = createClient({
-      host: 'donutsmp.net',
-      port: 19132,
-      username: email.includes('@') ? email.split('@')[0] : email,
-      offline: false,
+      host: profile.host,
+      port: profile.port,
+      username: profile.username,
+      offline: profile.offline,
+      ...(profile.version && { version: profile.version }),
+      profilesFolder: msa.cacheDir(email),
       onMsaCode(data) {
-        bot.deviceCode = {
-          userCode: data.user_code,
-          verificationUri: data.verification_uri,
-          expiresIn: data.expires_in,
-        };
+        bot.deviceCode = msa.createDeviceCode(data, bot.codeRetries + 1);
+        const { userCode, verificationUri, expiresAt, attempt } = bot.deviceCode;
+        webhooks.emit('auth_code', email, { userCode, verificationUri, expiresAt, attempt });
         bot.status = 'Auth Required';
-        addLog(email, `🔑 Microsoft auth required!`);
-        addLog(email, `   -> Visit: ${data.verification_uri}`);
-        addLog(email, `   -> Code:  ${data.user_code}  (expires in ${Math.round(data.expires_in / 60)} min)`);
+        addLog(email, `🔑 Microsoft auth required!`, { level: 'warn', category: 'auth' });
+        addLog(email, `   -> Visit: ${data.verification_uri}`, { category: 'auth' });
+        addLog(email, `   -> Code:  ${data.user_code}  (expires in ${Math.round(data.expires_in / 60)} min)`, { category: 'auth', sensitive: true });
         broadcastUpdate(email);
-
-        // Send auth code to Discord so you can auth from your phone
-        discordNotify(
-          '🔑 Microsoft Auth Required',
-          `**Account:** \`${email}\`\n**Code:** \`${data.user_code}\`\n**URL:** ${data.verification_uri}\n**Expires in:** ${Math.round(data.expires_in / 60)} minutes`,
-          0x00c6ff
-        );
+        sendDeviceCode(email, bot.deviceCode);
       },
     });
   } catch (err) {
     bot.status = 'Error';
-    addLog(email, `❌ Client creation failed: ${err.message}`);
+    addLog(email, `❌ Client creation failed: ${err.message}`, { level: 'error', category: 'connection' });
     broadcastUpdate(email);
-    scheduleReconnect(email);
+    scheduleReconnect(email, `Client creation failed — ${err.message}`);
     return;
   }
 
   bot.client = client;
+  isolateClient(email, client);
+
+  // Position, health, players etc. — also what anti-AFK builds its packets from
+  bot.world = worldState.createWorld();
+  bot.inventory = inventory.createInventory();
+  inventory.trackInventory(client, bot.inventory);
+  worldState.trackWorld(client, bot.world, () => worldState.resolveWorldOptions(bot.worldOptions), {
+    onDeath() {
+      const auto = worldState.resolveWorldOptions(bot.worldOptions).autoRespawn;
+      addLog(email, `💀 Died${auto ? ' — respawning...' : ''}`, { level: 'warn', category: 'system' });
+      discordNotify('💀 Bot Died', `\`${email}\` died at ${formatPosition(bot.world)}.${auto ? ' Auto-respawning.' : ''}`, 0xff4560);
+    },
+    onRespawn() {
+      addLog(email, '🔁 Respawned.');
+    },
+    onDimension(name) {
+      addLog(email, `🌀 Changed dimension → ${name}`);
+    },
+    onPlayerNear(name, distance) {
+      addLog(email, `👀 ${name} is ${distance.toFixed(1)} blocks away`);
+      discordNotify('👀 Player Nearby', `**${escapeMarkdown(name)}** is ${distance.toFixed(1)} blocks from \`${email}\` (${formatPosition(bot.world)}).`, 0xffb830);
+    },
+  });
 
   client.on('spawn', () => {
     bot.status = 'Online';
     bot.reconnectAttempts = 0;
     bot.deviceCode = null;
+    bot.codeRetries = 0;
     bot.disconnectHandled = false;
-    addLog(email, '✅ Spawned! Connected to donutsmp.net.');
+    addLog(email, `✅ Spawned! Connected to ${target}.`, { category: 'connection' });
     broadcastUpdate(email);
-    discordNotify('✅ Bot Online', `\`${email}\` has spawned on donutsmp.net.`, 0x00ff87);
+    discordNotify('✅ Bot Online', `\`${email}\` has spawned on ${profile.host}.`, 0x00ff87);
 
-    try {
-      client.queue('text', {
-        type: 'raw', needs_translation: false,
-        source_name: '', message: '/home 1',
-        xuid: '', platform_chat_id: '',
-      });
-      addLog(email, '🏠 Sent: /home 1');
-    } catch (err) {
-      addLog(email, `⚠️ Failed to send /home 1 — ${err.message}`);
-    }
+    startScripts(email);
+    startAntiAfk(email);
+    startBalancePoll(email);
   });
 
   client.on('join', () => {
-    addLog(email, '📶 Joined server — waiting for spawn...');
+    addLog(email, '📶 Joined server — waiting for spawn...', { category: 'connection' });
   });
 
   // Mirror in-game chat to the Discord channel
   client.on('text', (packet) => {
-    const msg = packet.message || packet.parameters?.join(' ');
-    if (!msg) return;
-    addLog(email, `💬 ${msg}`);
-    if (discordChannel && msg.trim()) {
-      discordChannel.send(`💬 \`${email}\` **[in-game]:** ${msg.slice(0, 1900)}`).catch(() => {});
-    }
+    const { sender, message } = parseChatPacket(packet);
+    if (!message) return;
+    metrics.chatMessages.inc({ direction: 'in' });
+    addLog(email, `💬 ${sender ? `<${stripColors(sender)}> ` : ''}${stripColors(message)}`, { category: 'chat' });
+    mirrorChat(email, sender, message);
+    webhooks.emit('chat', email, { sender: sender ? stripColors(sender) : null, message: stripColors(message) });
+    checkAlerts(email, sender, message);
+    trackEconomy(email, sender, message);
   });
 
+  // A replaced session (re-auth, expired code) can still fire these late
+  const current = () => bot.client === client;
+
   // PRIMARY: packet 0x05
   client.on('disconnect', (packet) => {
+    if (!current()) return;
     const reason = packet?.message
       ? `Disconnected by server — ${packet.message}`
       : 'Disconnected by server (packet 0x05)';
@@ -467,49 +2219,492 @@ function startBot(email, isReconnect = false) {
 
   // FALLBACK 1: clean TCP close
   client.on('end', () => {
+    if (!current()) return;
     handleSessionEnd(email, 'Connection ended (socket closed by server)');
   });
 
   // FALLBACK 2: abrupt socket close
   client.on('close', (hadError) => {
+    if (!current()) return;
     handleSessionEnd(email, hadError ? 'Connection lost (socket error)' : 'Connection closed', hadError);
   });
 
   // FALLBACK 3: errors
   client.on('error', (err) => {
+    if (!current()) return;
+    if (bot.status === 'Auth Required' && msa.isCodeExpiry(err)) return handleCodeExpired(email);
     handleSessionEnd(email, `Error — ${err.message}`, true);
   });
 }
 
+// ─────────────────────────────────────────────
+//  Spawn scripts
+//  onSpawn runs once per spawn; repeat runs every
+//  repeatInterval seconds while the bot is Online.
+// ─────────────────────────────────────────────
+const DEFAULT_SCRIPT = {
+  onSpawn: [{ action: 'chat', message: '/home 1' }],
+  repeat: [],
+  repeatInterval: 0,
+};
+
+const MAX_SCRIPT_STEPS   = 50;
+const MIN_REPEAT_SECONDS = 10;
+
+function parseSteps(steps, field) {
+  if (steps === undefined) return [];
+  if (!Array.isArray(steps)) throw new Error(`${field} must be an array`);
+  if (steps.length > MAX_SCRIPT_STEPS) throw new Error(`${field} has more than ${MAX_SCRIPT_STEPS} steps`);
+
+  return steps.map((step, i) => {
+    if (step?.action === 'wait') {
+      const seconds = Number(step.seconds);
+      if (!Number.isFinite(seconds) || seconds < 0 || seconds > 3600) {
+        throw new Error(`${field}[${i}]: wait must be 0-3600 seconds`);
+      }
+      return { action: 'wait', seconds };
+    }
+    if (step?.action === 'chat') {
+      const message = String(step.message ?? '').trim();
+      if (!message || message.length > 256) throw new Error(`${field}[${i}]: message must be 1-256 chars`);
+      return { action: 'chat', message };
+    }
+    throw new Error(`${field}[${i}]: action must be 'chat' or 'wait'`);
+  });
+}
+
+// Throws on invalid input
+function parseScript(input = {}) {
+  const script = {
+    onSpawn: parseSteps(input.onSpawn, 'onSpawn'),
+    repeat:  parseSteps(input.repeat, 'repeat'),
+    repeatInterval: Number(input.repeatInterval) || 0,
+  };
+  if (script.repeatInterval && script.repeatInterval < MIN_REPEAT_SECONDS) {
+    throw new Error(`repeatInterval must be 0 (off) or at least ${MIN_REPEAT_SECONDS}s`);
+  }
+  return script;
+}
+
+function previewScript(script) {
+  const timeline = (steps) => {
+    let at = 0;
+    return steps.map((step) => {
+      const entry = { at, ...step };
+      if (step.action === 'wait') at += step.seconds;
+      return entry;
+    });
+  };
+  const duration = (steps) => steps.reduce((t, st) => t + (st.action === 'wait' ? st.seconds : 0), 0);
+
+  return {
+    onSpawn: timeline(script.onSpawn),
+    onSpawnDuration: duration(script.onSpawn),
+    repeat: timeline(script.repeat),
+    repeatDuration: duration(script.repeat),
+    repeatInterval: script.repeatInterval,
+  };
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Stops as soon as the session changes (disconnect, new spawn, script edit)
+async function runSteps(email, steps, label) {
+  const bot = accountData.get(email);
+  if (!bot) return;
+  const gen = bot.scriptGen;
+
+  for (const [i, step] of steps.entries()) {
+    if (bot.scriptGen !== gen || bot.status !== 'Online' || !bot.client) return;
+
+    if (step.action === 'wait') {
+      await sleep(step.seconds * 1000);
+      continue;
+    }
+    try {
+      queueChat(bot.client, step.message);
+      addLog(email, `📜 [${label} ${i + 1}/${steps.length}] Sent: ${step.message}`, { category: 'command' });
+    } catch (err) {
+      addLog(email, `⚠️ [${label} ${i + 1}/${steps.length}] Failed to send ${step.message} — ${err.message}`, { level: 'warn', category: 'command' });
+    }
+  }
+}
+
+function armRepeat(email) {
+  const bot = accountData.get(email);
+  const script = bot?.script || DEFAULT_SCRIPT;
+  if (!script.repeatInterval || !script.repeat.length) return;
+
+  bot.scriptTimer = setInterval(async () => {
+    if (bot.scriptRepeating) return; // previous run still waiting through its steps
+    bot.scriptRepeating = true;
+    try { await runSteps(email, script.repeat, 'repeat'); }
+    finally { bot.scriptRepeating = false; }
+  }, script.repeatInterval * 1000);
+}
+
+function startScripts(email) {
+  const bot = accountData.get(email);
+  if (!bot) return;
+  stopScripts(bot);
+  runSteps(email, (bot.script || DEFAULT_SCRIPT).onSpawn, 'spawn');
+  armRepeat(email);
+}
+
+function stopScripts(bot) {
+  bot.scriptGen += 1;
+  clearInterval(bot.scriptTimer);
+  bot.scriptTimer = null;
+  bot.scriptRepeating = false;
+}
+
+// ─────────────────────────────────────────────
+//  World state
+// ─────────────────────────────────────────────
+function formatPosition(world) {
+  const w = worldState.summarizeWorld(world);
+  if (!w) return 'unknown position';
+  return `${w.position.x}, ${w.position.y}, ${w.position.z} (${w.dimension})`;
+}
+
+// Positions change without a log line, so push them to the dashboard on a
+// timer instead of through broadcastUpdate
+function broadcastWorlds() {
+  for (const [email, bot] of accountData.entries()) {
+    if (bot.status !== 'Online' || !bot.world) continue;
+    globalEmitter.emit('update', { type: 'world', email, world: worldState.summarizeWorld(bot.world) });
+  }
+}
+
+// ─────────────────────────────────────────────
+//  Anti-AFK
+// ─────────────────────────────────────────────
+function startAntiAfk(email) {
+  const bot = accountData.get(email);
+  if (!bot?.client || !bot.world) return;
+  bot.stopAntiAfk?.();
+  bot.stopAntiAfk = null;
+
+  const config = antiAfk.resolveAntiAfk(bot.antiAfk);
+  if (!config.enabled) return;
+
+  bot.stopAntiAfk = antiAfk.startAntiAfk(bot.client, bot.world, config, {
+    onAction: (label) => addLog(email, `🕹️ Anti-AFK: ${label}`, { level: 'debug', category: 'command' }),
+    onError:  (err)   => addLog(email, `⚠️ Anti-AFK failed — ${err.message}`, { level: 'warn', category: 'command' }),
+  });
+  addLog(email, `🕹️ Anti-AFK active (${config.pattern} every ${config.interval}s via ${config.method})`);
+}
+
+// Everything that only runs while a session is alive
+function stopSessionTasks(bot) {
+  stopScripts(bot);
+  bot.stopAntiAfk?.();
+  bot.stopAntiAfk = null;
+  bot.stopBalancePoll?.();
+  bot.stopBalancePoll = null;
+}
+
+// ─────────────────────────────────────────────
+//  Economy
+// ─────────────────────────────────────────────
+function trackEconomy(email, sender, message) {
+  const bot = accountData.get(email);
+  if (!bot || sender) return; // only server lines can move money
+  const event = economy.matchLine(economy.resolveEconomy(bot.economy), stripColors(message));
+  if (!event) return;
+  const entry = economy.record(bot.ledger, event);
+  if (event.type === 'payment') {
+    const who = event.player ? ` ${event.amount > 0 ? 'from' : 'to'} ${event.player}` : '';
+    addLog(email, `💰 ${event.amount > 0 ? '+' : ''}${economy.formatMoney(event.amount)}${who} (balance ${economy.formatMoney(bot.ledger.balance)})`);
+  } else if (entry) {
+    addLog(email, `💰 Balance ${economy.formatMoney(entry.balance)} (${entry.delta > 0 ? '+' : ''}${economy.formatMoney(entry.delta)})`);
+  } else {
+    persistAccount(email);
+  }
+}
+
+function startBalancePoll(email) {
+  const bot = accountData.get(email);
+  if (!bot?.client) return;
+  bot.stopBalancePoll?.();
+  const config = economy.resolveEconomy(bot.economy);
+  bot.stopBalancePoll = economy.startBalancePoll(() => isolate(email, 'balance poll', () => {
+    if (bot.client && bot.status === 'Online') queueChat(bot.client, config.balanceCommand);
+  }), config);
+}
+
 // ─────────────────────────────────────────────
 //  Reconnect scheduler
 // ─────────────────────────────────────────────
-function scheduleReconnect(email) {
+let nextReconnectSlot = 0;
+
+// Reserves the next connect slot at least `minDelay` from now and returns how
+// long to wait for it — keeps every account's attempts RECONNECT_STAGGER_MS apart
+function takeConnectSlot(minDelay = 0) {
+  const now    = Date.now();
+  const fireAt = Math.max(now + minDelay, nextReconnectSlot);
+  nextReconnectSlot = fireAt + RECONNECT_STAGGER_MS;
+  return fireAt - now;
+}
+
+// Returns a one-line summary of what will happen (for the Discord notice),
+// or null when auto-reconnect doesn't apply
+function scheduleReconnect(email, reason = '') {
   const bot = accountData.get(email);
-  if (!bot || bot.manualDisconnect || !bot.autoReconnect) return;
+  if (!bot || bot.manualDisconnect || !bot.autoReconnect) return null;
+  const policy = reconnectPolicy.resolvePolicy(bot.reconnectPolicy);
 
-  const delay = Math.min(5000 * Math.pow(1.5, Math.min(bot.reconnectAttempts, 12)), 60000);
+  if (!reconnectPolicy.shouldBeOnline(policy)) {
+    bot.scheduledOffline = true;
+    addLog(email, '🌙 Outside the online schedule — will reconnect when the next window opens.', { category: 'connection' });
+    return '🌙 Waiting for the next schedule window.';
+  }
+
+  const plan = reconnectPolicy.nextAttempt(policy, bot.reconnectAttempts, reason);
+  if (plan.stop) {
+    addLog(email, `🛑 Not reconnecting — ${plan.stop}`, { level: 'warn', category: 'connection' });
+    return `🛑 Not reconnecting — ${plan.stop}.`;
+  }
+
+  const delay = takeConnectSlot(plan.delay);
   const secs  = (delay / 1000).toFixed(1);
 
-  addLog(email, `⏱️  Auto-reconnect in ${secs}s (attempt ${bot.reconnectAttempts + 1})`);
+  addLog(email, `⏱️  Auto-reconnect in ${secs}s (attempt ${bot.reconnectAttempts + 1}${policy.maxAttempts ? `/${policy.maxAttempts}` : ''})`, { category: 'connection' });
   broadcastUpdate(email);
 
   clearTimeout(bot.reconnectTimer);
   bot.reconnectTimer = setTimeout(() => {
-    if (!bot.manualDisconnect && bot.autoReconnect) startBot(email, true);
+    bot.reconnectTimer = null;
+    if (!bot.manualDisconnect && bot.autoReconnect) isolate(email, 'reconnect', () => startBot(email, true));
   }, delay);
+  return `🔁 Auto-reconnect in ${secs}s.`;
+}
+
+// ─────────────────────────────────────────────
+//  Bulk operations on a group / all accounts
+// ─────────────────────────────────────────────
+const BULK_ACTIONS = ['connect', 'disconnect', 'chat', 'reconnect'];
+
+// Runs `action` on each account and resolves with one result per account:
+//   { email, result: 'ok' | 'skipped' | 'failed', detail }
+// Connects go through takeConnectSlot, so a big group trickles in.
+// `denied(email)` lets the Discord side veto individual accounts.
+// `via` says where it came from in the account logs.
+async function runBulk(action, emails, { message, enabled, via = 'bulk, via dashboard' } = {}, denied = () => null) {
+  if (!BULK_ACTIONS.includes(action)) throw new Error(`action must be one of ${BULK_ACTIONS.join(', ')}`);
+  if (action === 'chat' && !String(message ?? '').trim()) throw new Error('message required');
+  if (action === 'reconnect' && typeof enabled !== 'boolean') throw new Error('enabled must be true or false');
+
+  const run = async (email) => {
+    const why = denied(email);
+    if (why) return { result: 'failed', detail: why };
+    const bot = accountData.get(email);
+
+    if (action === 'connect') {
+      if (bot && ACTIVE_STATUSES.includes(bot.status)) return { result: 'skipped', detail: `already ${bot.status}` };
+      await sleep(takeConnectSlot());
+      const now = accountData.get(email);
+      if (now && ACTIVE_STATUSES.includes(now.status)) return { result: 'skipped', detail: `already ${now.status}` };
+      startBot(email, false);
+      return { result: 'ok', detail: 'connecting' };
+    }
+
+    if (!bot) return { result: 'failed', detail: 'no session' };
+
+    if (action === 'disconnect') {
+      if (!ACTIVE_STATUSES.includes(bot.status) && !bot.reconnectTimer) return { result: 'skipped', detail: 'already offline' };
+      stopBot(email, `Disconnected (${via})`);
+      addLog(email, `🔌 Disconnected (${via}).`, { category: 'connection' });
+      broadcastUpdate(email);
+      return { result: 'ok', detail: 'disconnected' };
+    }
+
+    if (action === 'chat') {
+      if (!bot.client || bot.status !== 'Online') return { result: 'failed', detail: 'offline' };
+      queueChat(bot.client, message);
+      addLog(email, `📤 You (${via}): ${message}`, { category: 'command' });
+      return { result: 'ok', detail: 'sent' };
+    }
+
+    bot.autoReconnect = enabled;
+    addLog(email, `🔁 Auto-reconnect set to ${enabled ? 'ON' : 'OFF'} (${via}).`);
+    broadcastUpdate(email);
+    return { result: 'ok', detail: `auto-reconnect ${enabled ? 'ON' : 'OFF'}` };
+  };
+
+  // Connects wait on their own slots, so run them side by side
+  return Promise.all([...new Set(emails)].map(async (email) => {
+    try {
+      return { email, ...await run(email) };
+    } catch (err) {
+      return { email, result: 'failed', detail: err.message };
+    }
+  }));
+}
+
+const BULK_ICONS = { ok: '✅', skipped: '⏭️', failed: '❌' };
+
+function bulkEmbed(action, target, results) {
+  const count = (r) => results.filter(x => x.result === r).length;
+  const failed = count('failed');
+  const lines = results.map(r => `${BULK_ICONS[r.result]} \`${r.email}\` — ${r.detail}`);
+  const body = (lines.join('\n') || 'No accounts in this target.').slice(0, 3900) +
+    `\n\n**${count('ok')}** ok · **${count('skipped')}** skipped · **${failed}** failed`;
+  const color = !failed ? 0x00ff87 : failed === results.length ? 0xff4560 : 0xffb830;
+  return makeEmbed(`📦 Bulk ${action} — ${target || 'all'}`, body, color);
+}
+
+// ─────────────────────────────────────────────
+//  Online schedules — checked every 30s
+// ─────────────────────────────────────────────
+function enforceSchedules() {
+  for (const [email, bot] of accountData.entries()) {
+    const policy = reconnectPolicy.resolvePolicy(bot.reconnectPolicy);
+    if (!policy.schedule || bot.manualDisconnect) continue;
+    const wantOnline = reconnectPolicy.shouldBeOnline(policy);
+
+    if (!wantOnline && (ACTIVE_STATUSES.includes(bot.status) || bot.reconnectTimer)) {
+      stopBot(email, 'Outside online schedule', { manual: false });
+      bot.scheduledOffline = true;
+      addLog(email, '🌙 Outside the online schedule — disconnecting.', { category: 'connection' });
+      broadcastUpdate(email);
+      discordNotify('🌙 Scheduled Offline', `\`${email}\` went offline for its schedule.`, 0x5865f2);
+    } else if (wantOnline && bot.scheduledOffline && !ACTIVE_STATUSES.includes(bot.status)) {
+      addLog(email, '🌅 Schedule window open — connecting.', { category: 'connection' });
+      startBot(email, false);
+    }
+  }
+}
+
+// ─────────────────────────────────────────────
+//  Manager lifecycle — startManager() restores the
+//  saved accounts and starts the background loops;
+//  stopManager() tears every session down. Neither
+//  binds a port or touches Discord, so the tests
+//  can drive the manager directly.
+// ─────────────────────────────────────────────
+let shuttingDown = false;
+let managerTimers = [];
+
+function startManager() {
+  shuttingDown = false;
+  restoreAccounts();
+  managerTimers = [setInterval(enforceSchedules, 30000), setInterval(broadcastWorlds, 5000)];
+}
+
+// Who to resume is decided before anything is torn down.
+// Returns how many accounts will come back on the next start.
+function stopManager(reason = 'Bot manager shut down') {
+  shuttingDown = true;
+  managerTimers.forEach(clearInterval);
+  managerTimers = [];
+
+  let resuming = 0;
+  for (const [email, bot] of accountData.entries()) {
+    bot.resumeOnBoot = shouldResume(bot);
+    if (bot.resumeOnBoot) resuming++;
+    if (bot.client || bot.reconnectTimer || bot.status !== 'Offline') {
+      stopBot(email, reason, { manual: false });
+      addLog(email, `🛑 Disconnected — bot manager shutting down${bot.resumeOnBoot ? ' (will resume on restart)' : ''}.`, { category: 'connection' });
+    }
+  }
+  store.flush();
+  logs.flush();
+  return resuming;
+}
+
+// ─────────────────────────────────────────────
+//  Graceful shutdown — Railway sends SIGTERM on
+//  every deploy. Sessions are disconnected, state
+//  and logs flushed and Discord told, all within
+//  SHUTDOWN_TIMEOUT_MS (default 10000).
+// ─────────────────────────────────────────────
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10000;
+let httpServer = null;
+
+const withTimeout = (promise, ms) => Promise.race([promise, new Promise(r => setTimeout(r, ms))]);
+
+async function shutdown(signal, code = 0) {
+  if (shuttingDown) return;
+  console.log(`\n🛑 ${signal} — shutting down...`);
+  setTimeout(() => {
+    console.error('❌ Shutdown timed out — exiting anyway');
+    process.exit(code || 1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+
+  const resuming = stopManager();
+
+  if (discord?.isReady()) {
+    panelLast = '';
+    const embed = makeEmbed('🔴 Bot Manager Offline', `Shutting down (${signal}). ${resuming} bot(s) will resume on restart.`, 0xff4560);
+    await withTimeout(Promise.allSettled([
+      updatePanel(),
+      ...notifyTargets().map(ch => ch.send({ embeds: [embed] })),
+    ]), SHUTDOWN_TIMEOUT_MS / 2);
+    await discord.destroy().catch(() => {});
+  }
+
+  httpServer?.close();
+  store.flush();
+  logs.flush();
+  process.exit(code);
+}
+
+// Last line of defence for errors thrown outside isolate(), e.g. later in a
+// timer or promise. One that started in a live session ends just that session.
+// Anything else is logged, and only a burst of them restarts the process.
+const CRASH_WINDOW_MS = 60000;
+const CRASH_LIMIT     = 5;
+let crashes = [];
+
+function handleProcessError(kind, err) {
+  const error = err instanceof Error ? err : new Error(String(err));
+  const ctx = sessionContext.getStore();
+  if (ctx?.client && accountData.get(ctx.email)?.client === ctx.client) {
+    return failSession(ctx.email, `an async task (${kind})`, error);
+  }
+  if (ctx) return console.error(`❌ ${ctx.email}: ${kind} from an ended session —`, error);
+
+  console.error(`❌ ${kind[0].toUpperCase()}${kind.slice(1)}:`, error);
+  const now = Date.now();
+  crashes = [...crashes.filter(t => now - t < CRASH_WINDOW_MS), now];
+  if (crashes.length >= CRASH_LIMIT) shutdown(`${CRASH_LIMIT} uncaught errors in ${CRASH_WINDOW_MS / 1000}s`, 1);
+}
+
+function installProcessHandlers() {
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT',  () => shutdown('SIGINT'));
+  process.on('uncaughtException',  (err) => handleProcessError('uncaught exception', err));
+  process.on('unhandledRejection', (err) => handleProcessError('unhandled promise rejection', err));
 }
 
 // ─────────────────────────────────────────────
 //  Start — Express binds first so Railway health
 //  checks pass, then Discord initialises async
 // ─────────────────────────────────────────────
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`\n  🍩  DonutSMP Bot GUI  ->  http://0.0.0.0:${PORT}`);
-  console.log(`  🤖  Discord bot: ${DISCORD_ENABLED ? 'ENABLED' : 'DISABLED (set DISCORD_TOKEN env var)'}\n`);
+function start() {
+  installProcessHandlers();
+  httpServer = app.listen(PORT, '0.0.0.0', () => {
+    console.log(`\n  🍩  DonutSMP Bot GUI  ->  http://0.0.0.0:${PORT}`);
+    console.log(`  🤖  Discord bot: ${DISCORD_ENABLED ? 'ENABLED' : 'DISABLED (set DISCORD_TOKEN env var)'}`);
+    console.log(`  🔒  Dashboard auth: ${auth.AUTH_ENABLED ? 'ENABLED' : 'DISABLED — anyone who can reach this port has full control (set DASHBOARD_USERS)'}\n`);
 
-  // Start Discord AFTER Express is bound so a Discord crash can't block the port
-  if (DISCORD_ENABLED) {
-    initDiscord().catch(err => console.error('Discord init failed:', err.message));
-  }
-});
+    startManager();
+
+    // Start Discord AFTER Express is bound so a Discord crash can't block the port
+    if (DISCORD_ENABLED) {
+      initDiscord().catch(err => console.error('Discord init failed:', err.message));
+    }
+  });
+  return httpServer;
+}
+
+if (require.main === module) start();
+
+// For the tests: the Express app, the manager's state and the entry points
+// they drive. `node server.js` is still the way to run it.
+module.exports = {
+  app, accountData,
+  start, startManager, stopManager, initDiscord,
+  startBot, stopBot, updateProfile, resolveProfile, slashHandlers,
+};
@@ -0,0 +1,137 @@
+// ─────────────────────────────────────────────
+//  Per-account uptime & session statistics
+//
+//  Time is accrued on every status transition
+//  (server.js calls trackStatus from broadcastUpdate),
+//  so totals are exact without a polling timer.
+//  Daily buckets are keyed by UTC date.
+// ─────────────────────────────────────────────
+const DAY_MS        = 24 * 60 * 60 * 1000;
+const KEEP_SESSIONS = 50;
+const KEEP_DAYS     = 30;
+const KEEP_REASONS  = 50;
+
+function createStats(saved = {}, now = Date.now()) {
+  return {
+    onlineMs:    saved.onlineMs    || 0,
+    authMs:      saved.authMs      || 0,
+    sessions:    saved.sessions    || [],   // last KEEP_SESSIONS: { start, end, durationMs, reason }
+    // Every session ever closed — older state files only have the kept ones
+    sessionTotal: saved.sessionTotal ?? (saved.sessions || []).length,
+    disconnects: saved.disconnects || {},   // reason -> count
+    daily:       saved.daily       || {},   // 'YYYY-MM-DD' -> online ms
+    // Whatever we were doing before a restart, we're not doing it now
+    status: 'Offline',
+    since:  now,
+    sessionStart: null,
+    pendingReason: null,
+  };
+}
+
+const dayKey = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+// Spread an online interval across the UTC days it covers
+function addDaily(stats, from, to) {
+  while (from < to) {
+    const dayEnd = (Math.floor(from / DAY_MS) + 1) * DAY_MS;
+    const end = Math.min(to, dayEnd);
+    const key = dayKey(from);
+    stats.daily[key] = (stats.daily[key] || 0) + (end - from);
+    from = end;
+  }
+  const keys = Object.keys(stats.daily).sort();
+  for (const k of keys.slice(0, Math.max(0, keys.length - KEEP_DAYS))) delete stats.daily[k];
+}
+
+function accrue(stats, now) {
+  const elapsed = now - stats.since;
+  if (stats.status === 'Online') {
+    stats.onlineMs += elapsed;
+    addDaily(stats, stats.since, now);
+  } else if (stats.status === 'Auth Required') {
+    stats.authMs += elapsed;
+  }
+  stats.since = now;
+}
+
+// Call whenever the bot's status may have changed; no-op if it hasn't
+function trackStatus(stats, status, now = Date.now()) {
+  if (stats.status === status) return;
+  accrue(stats, now);
+
+  if (status === 'Online') {
+    stats.sessionStart = now;
+  } else if (stats.status === 'Online' && stats.sessionStart) {
+    stats.sessions.push({
+      start: stats.sessionStart, end: now,
+      durationMs: now - stats.sessionStart,
+      reason: stats.pendingReason || 'Unknown',
+    });
+    if (stats.sessions.length > KEEP_SESSIONS) stats.sessions.shift();
+    stats.sessionTotal++;
+    stats.sessionStart = null;
+  }
+  stats.pendingReason = null;
+  stats.status = status;
+}
+
+// Call just before the status change so the closed session gets the reason
+function recordDisconnect(stats, reason) {
+  const key = String(reason).slice(0, 120);
+  stats.disconnects[key] = (stats.disconnects[key] || 0) + 1;
+  stats.pendingReason = key;
+
+  const reasons = Object.entries(stats.disconnects);
+  if (reasons.length > KEEP_REASONS) {
+    reasons.sort((a, b) => a[1] - b[1]);
+    delete stats.disconnects[reasons[0][0]];
+  }
+}
+
+// Live view including the in-progress interval
+function summarize(stats, now = Date.now(), days = 14) {
+  const live = { ...stats, daily: { ...stats.daily } };
+  accrue(live, now);
+
+  const uptimeByDay = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const dayStart = (Math.floor(now / DAY_MS) - i) * DAY_MS;
+    const span = Math.min(DAY_MS, now - dayStart); // today is only partly over
+    const ms = live.daily[dayKey(dayStart)] || 0;
+    uptimeByDay.push({ date: dayKey(dayStart), onlineMs: ms, percent: Math.round((ms / span) * 1000) / 10 });
+  }
+
+  // Averages cover the kept sessions only; the count covers all of them
+  const durations = stats.sessions.map(s => s.durationMs);
+  return {
+    onlineMs: live.onlineMs,
+    authMs: live.authMs,
+    currentSessionMs: stats.status === 'Online' && stats.sessionStart ? now - stats.sessionStart : 0,
+    sessionCount: stats.sessionTotal,
+    avgSessionMs: durations.length ? Math.round(durations.reduce((a, b) => a + b, 0) / durations.length) : 0,
+    longestSessionMs: durations.length ? Math.max(...durations) : 0,
+    recentSessions: stats.sessions.slice(-10),
+    disconnects: stats.disconnects,
+    disconnectTotal: Object.values(stats.disconnects).reduce((a, b) => a + b, 0),
+    uptimeByDay,
+  };
+}
+
+// What goes in the state file — includes the in-progress interval so a
+// crash only loses time since the last save
+function serialize(stats, now = Date.now()) {
+  const live = { ...stats, daily: { ...stats.daily } };
+  accrue(live, now);
+  const { onlineMs, authMs, sessions, sessionTotal, disconnects, daily } = live;
+  return { onlineMs, authMs, sessions, sessionTotal, disconnects, daily };
+}
+
+function formatDuration(ms) {
+  const s = Math.floor(ms / 1000);
+  const d = Math.floor(s / 86400), h = Math.floor(s % 86400 / 3600), m = Math.floor(s % 3600 / 60);
+  if (d) return `${d}d ${h}h`;
+  if (h) return `${h}h ${m}m`;
+  return `${m}m ${s % 60}s`;
+}
+
+module.exports = { createStats, trackStatus, recordDisconnect, summarize, serialize, formatDuration };
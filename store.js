@@ -0,0 +1,77 @@
+// ─────────────────────────────────────────────
+//  Persistent state — a single JSON file
+//  Holds every account's settings plus a rolling
+//  log history so a redeploy or crash doesn't
+//  wipe the session list.
+//
+//  Set DATA_DIR to a Railway volume mount path,
+//  otherwise ./data is used (ephemeral on Railway).
+// ─────────────────────────────────────────────
+const fs   = require('fs');
+const path = require('path');
+
+const DATA_DIR   = process.env.DATA_DIR || path.join(__dirname, 'data');
+const STATE_FILE = path.join(DATA_DIR, 'state.json');
+const SAVE_DELAY = 1000;
+
+let state = { accounts: {} };
+let saveTimer = null;
+
+function load() {
+  try {
+    const raw = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+    state = { ...raw, accounts: raw.accounts || {} };
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`⚠️  Could not read ${STATE_FILE} — starting fresh (${err.message})`);
+    state = { accounts: {} };
+  }
+  return state;
+}
+
+// Write synchronously via a temp file so a crash mid-write can't corrupt the state
+function flush() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmp = `${STATE_FILE}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state));
+    fs.renameSync(tmp, STATE_FILE);
+  } catch (err) {
+    console.error(`❌ Failed to save ${STATE_FILE}: ${err.message}`);
+  }
+}
+
+// Debounced — addLog can fire many times a second on a busy server
+function save() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(flush, SAVE_DELAY);
+}
+
+function getAccounts() {
+  return state.accounts;
+}
+
+function saveAccount(email, record) {
+  state.accounts[email] = record;
+  save();
+}
+
+function removeAccount(email) {
+  delete state.accounts[email];
+  save();
+}
+
+// Top-level collections that aren't tied to one account
+function get(key, fallback) {
+  return state[key] ?? fallback;
+}
+
+function set(key, value) {
+  state[key] = value;
+  save();
+}
+
+process.on('exit', () => { if (saveTimer) flush(); });
+
+module.exports = { DATA_DIR, load, save, flush, getAccounts, saveAccount, removeAccount, get, set };
@@ -0,0 +1,24 @@
+// Default balance / payment patterns against typical server lines
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const economy = require('../economy');
+
+const config = economy.resolveEconomy({});
+const match = (line) => economy.matchLine(config, line);
+
+test('reads balance replies', () => {
+  assert.deepEqual(match('Balance: $1,234.50'), { type: 'balance', amount: 1234.5 });
+  assert.deepEqual(match('Your money is 2.5M'), { type: 'balance', amount: 2500000 });
+  assert.deepEqual(match('You have $42'), { type: 'balance', amount: 42 });
+  assert.deepEqual(match('You have 3K money'), { type: 'balance', amount: 3000 });
+});
+
+test('ignores "You have" lines that are not a balance', () => {
+  assert.equal(match('You have 5 homes'), null);
+  assert.equal(match('You have 2 unread messages'), null);
+});
+
+test('reads payments both ways', () => {
+  assert.deepEqual(match('Steve paid you $500'), { type: 'payment', amount: 500, player: 'Steve' });
+  assert.deepEqual(match('You sent Alex $1.5K'), { type: 'payment', amount: -1500, player: 'Alex' });
+});
@@ -0,0 +1,49 @@
+// ─────────────────────────────────────────────
+//  Child process side of mock-bedrock.js. Runs
+//  bedrock-protocol's createServer in offline mode,
+//  reports joins, chat and leaves to the parent
+//  over IPC and takes kick / say / close commands.
+//  Kept out of the test process because RakNet
+//  prints to stdout, which node --test reads.
+// ─────────────────────────────────────────────
+const { Server } = require('bedrock-protocol');
+
+const [host, port] = [process.argv[2], Number(process.argv[3])];
+const server = new Server({ host, port, offline: true });
+const players = new Set();
+
+server.on('connect', (player) => {
+  player.on('join', () => {
+    players.add(player);
+    player.queue('play_status', { status: 'player_spawn' });
+    process.send({ type: 'join', online: players.size });
+  });
+  player.on('text', (packet) => process.send({ type: 'text', message: packet.message }));
+  player.on('close', () => {
+    if (players.delete(player)) process.send({ type: 'leave', online: players.size });
+  });
+});
+
+process.on('message', (cmd) => {
+  switch (cmd.type) {
+    case 'kick':
+      for (const player of players) player.disconnect(cmd.reason);
+      break;
+    case 'say':
+      for (const player of players) {
+        player.queue('text', {
+          needs_translation: false, category: 'authored', type: 'chat',
+          source_name: cmd.sender, message: cmd.message, xuid: '', platform_chat_id: '', has_filtered_message: false,
+        });
+      }
+      break;
+    case 'close':
+      server.close();
+      process.exit(0);
+  }
+});
+
+server.listen().then(() => process.send({ type: 'listening' }), (err) => {
+  process.send({ type: 'error', message: err.message });
+  process.exit(1);
+});
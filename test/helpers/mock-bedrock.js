@@ -0,0 +1,67 @@
+// ─────────────────────────────────────────────
+//  Stand-in Bedrock server — bedrock-protocol's own
+//  server in offline mode, run in a child process
+//  (see bedrock-server-process.js). Spawns every
+//  player as soon as they join and records the chat
+//  they send, so a test can connect, read, kick and
+//  watch the bot come back without the network.
+// ─────────────────────────────────────────────
+const { fork } = require('child_process');
+const path = require('path');
+
+const HOST = '127.0.0.1';
+
+// Resolves once the server is bound
+function startMockServer(port) {
+  const child = fork(path.join(__dirname, 'bedrock-server-process.js'), [HOST, String(port)], {
+    stdio: ['ignore', 'ignore', 'inherit', 'ipc'],
+  });
+  const chat = [];   // messages received from players
+  let joins = 0;
+  let online = 0;
+
+  const mock = {
+    host: HOST,
+    port,
+    chat,
+    get joins() { return joins; },
+    get online() { return online; },
+    // Sends every connected player a disconnect packet, like /kick
+    kickAll(reason = 'Kicked by an operator') {
+      child.send({ type: 'kick', reason });
+    },
+    // Sends a chat line to every connected player
+    say(sender, message) {
+      child.send({ type: 'say', sender, message });
+    },
+    close() {
+      if (child.connected) child.send({ type: 'close' });
+    },
+  };
+
+  return new Promise((resolve, reject) => {
+    child.on('message', (msg) => {
+      switch (msg.type) {
+        case 'listening': return resolve(mock);
+        case 'error':     return reject(new Error(`Mock Bedrock server: ${msg.message}`));
+        case 'join':      joins++; online = msg.online; break;
+        case 'leave':     online = msg.online; break;
+        case 'text':      chat.push(msg.message); break;
+      }
+    });
+    child.on('exit', (code) => reject(new Error(`Mock Bedrock server exited (${code})`)));
+  });
+}
+
+// Polls until check() returns something truthy, or fails after `timeout` ms
+async function waitFor(check, { timeout = 15000, interval = 25, what = 'condition' } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error(`Timed out after ${timeout}ms waiting for ${what}`);
+    await new Promise(r => setTimeout(r, interval));
+  }
+}
+
+module.exports = { startMockServer, waitFor };
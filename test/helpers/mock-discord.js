@@ -0,0 +1,106 @@
+// ─────────────────────────────────────────────
+//  Stand-in discord.js client — just the surface
+//  server.js uses. login() never touches the
+//  network: it flips to ready and emits 'ready'.
+//  Every message sent anywhere is recorded on the
+//  channel (or user) it went to.
+// ─────────────────────────────────────────────
+const EventEmitter = require('events');
+
+const GUILD_ID   = '100000000000000001';
+const CHANNEL_ID = '200000000000000001';
+
+let nextId = 1;
+const snowflake = () => `9${String(nextId++).padStart(17, '0')}`;
+
+// text: false models a voice or category channel, whose send() throws
+function createChannel(id = CHANNEL_ID, guildId = GUILD_ID, { text = true } = {}) {
+  const messages = new Map();
+  const channel = {
+    id, guildId,
+    sent: [],    // payloads posted with send()
+    edits: [],   // payloads of edits to those messages
+    isTextBased: () => text,
+    async send(payload) {
+      if (!text) throw new TypeError('channel.send is not a function');
+      channel.sent.push(payload);
+      const message = {
+        id: snowflake(), channelId: id, payload,
+        async edit(next) { message.payload = next; channel.edits.push(next); return message; },
+        async delete() { messages.delete(message.id); },
+      };
+      messages.set(message.id, message);
+      return message;
+    },
+    messages: { fetch: async (messageId) => messages.get(messageId) ?? Promise.reject(new Error('Unknown Message')) },
+  };
+  return channel;
+}
+
+function createMockDiscord({ channels = [createChannel()] } = {}) {
+  const client = new EventEmitter();
+  const byId = new Map(channels.map(c => [c.id, c]));
+  const dms = new Map(); // user id -> [payload]
+  let ready = false;
+
+  Object.assign(client, {
+    dms,
+    user: { id: '300000000000000001', tag: 'Bot Manager#0001', activity: null, setActivity(name) { this.activity = name; } },
+    application: { id: '300000000000000001', owner: null, fetch: async () => client.application },
+    channels: {
+      cache: byId,
+      fetch: async (id) => byId.get(id) ?? Promise.reject(new Error('Unknown Channel')),
+    },
+    users: {
+      fetch: async (id) => ({
+        id,
+        send: async (payload) => { dms.set(id, [...(dms.get(id) || []), payload]); },
+      }),
+    },
+    ws: { status: 0, ping: 42 },
+    isReady: () => ready,
+    async login() {
+      ready = true;
+      process.nextTick(() => client.emit('ready', client));
+      return 'mock-token';
+    },
+    async destroy() { ready = false; },
+  });
+  return client;
+}
+
+// A chat-input interaction. `options` maps option names to values;
+// `admin` grants Discord's Administrator permission.
+function createInteraction(commandName, { subcommand = null, options = {}, user = {}, admin = false, roles = [], guildId = GUILD_ID, channel = null } = {}) {
+  const get = (name) => options[name] ?? null;
+  const interaction = {
+    commandName, guildId, channel,
+    user: { id: '400000000000000001', tag: 'tester#0001', ...user },
+    member: { roles: { cache: new Map(roles.map(id => [id, { id }])) } },
+    memberPermissions: { has: () => admin },
+    replies: [],   // every reply / editReply payload, in order
+    deferred: null,
+    isAutocomplete: () => false,
+    isButton: () => false,
+    isStringSelectMenu: () => false,
+    isModalSubmit: () => false,
+    isChatInputCommand: () => true,
+    options: {
+      getString: get, getInteger: get, getBoolean: get, getChannel: get,
+      getSubcommand: () => subcommand,
+    },
+    async deferReply(opts = {}) { interaction.deferred = opts; },
+    async reply(payload) { interaction.replies.push(payload); },
+    async editReply(payload) { interaction.replies.push(payload); },
+  };
+  return interaction;
+}
+
+// Title and description of the first embed in the latest reply
+function lastEmbed(interaction) {
+  const reply = interaction.replies[interaction.replies.length - 1];
+  const embed = reply?.embeds?.[0];
+  return embed ? (embed.toJSON?.() ?? embed) : null;
+}
+
+module.exports = { GUILD_ID, CHANNEL_ID, createChannel, createMockDiscord, createInteraction, lastEmbed };
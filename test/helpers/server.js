@@ -0,0 +1,46 @@
+// ─────────────────────────────────────────────
+//  Loads server.js against a throwaway DATA_DIR.
+//  The environment has to be in place before the
+//  first require (config is read at load time), so
+//  each test file calls this once, at the top.
+//  `state` seeds the state file, as if restored
+//  from an earlier run.
+// ─────────────────────────────────────────────
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+function loadServer(env = {}, { state } = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'donut-test-'));
+  if (state) fs.writeFileSync(path.join(dataDir, 'state.json'), JSON.stringify(state));
+  for (const key of ['DISCORD_TOKEN', 'DISCORD_PERMISSIONS', 'DASHBOARD_USERS', 'API_TOKENS', 'WEBHOOKS', 'AUTH_CACHE_DIR']) {
+    delete process.env[key];
+  }
+  Object.assign(process.env, { DATA_DIR: dataDir, RECONNECT_STAGGER_MS: '1', ...env });
+
+  // node --test reads results from this process's stdout, and Node 20 can
+  // misread them when log lines land in between — keep the logs on stderr
+  console.log = console.info = console.error;
+
+  const server = require('../../server');
+  return {
+    ...server,
+    dataDir,
+    cleanup() {
+      server.stopManager('Tests finished');
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+}
+
+// Listens on a free port; resolves { url, close }
+function listen(app) {
+  return new Promise((resolve) => {
+    const http = app.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${http.address().port}`,
+      close: () => new Promise(r => http.close(r)),
+    }));
+  });
+}
+
+module.exports = { loadServer, listen };
@@ -0,0 +1,127 @@
+// Connect → spawn → kick → reconnect against a local Bedrock server
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer, waitFor } = require('./helpers/mock-bedrock');
+const { loadServer } = require('./helpers/server');
+
+const MC_PORT = 19151;
+const EMAIL   = 'alt@example.com';
+
+const server = loadServer({ BEDROCK_HOST: '127.0.0.1', BEDROCK_PORT: String(MC_PORT), BEDROCK_OFFLINE: 'true' });
+const alerts = require('../alerts');
+const { accountData, startManager, startBot, stopBot } = server;
+let mc;
+
+const bot = () => accountData.get(EMAIL);
+const logLines = (pattern) => bot().logs.filter(e => pattern.test(e.message));
+const online = (what) => waitFor(() => bot()?.status === 'Online', { what });
+
+before(async () => {
+  mc = await startMockServer(MC_PORT);
+  startManager();
+});
+
+after(() => {
+  server.cleanup();
+  mc.close();
+});
+
+test('connects, spawns and runs the spawn script', async () => {
+  startBot(EMAIL);
+  assert.equal(bot().status, 'Connecting');
+  await online('first spawn');
+
+  // DEFAULT_SCRIPT sends /home 1 once spawned
+  await waitFor(() => mc.chat.includes('/home 1'), { what: 'spawn script' });
+  assert.equal(bot().reconnectAttempts, 0);
+  assert.equal(logLines(/✅ Spawned! Connected to 127\.0\.0\.1:19151/).length, 1);
+});
+
+test('logs in-game chat', async () => {
+  mc.say('Steve', 'hello bot');
+  await waitFor(() => logLines(/<Steve> hello bot/).length, { what: 'chat line' });
+});
+
+test('forgets nearby players by their unique id', () => {
+  const { client, world } = bot();
+  client.emit('add_player', { username: 'Steve', runtime_id: 7n, unique_id: -12n, position: { x: 1000, y: 0, z: 0 } });
+  assert.deepEqual([...world.nearby.keys()], ['7']);
+
+  // remove_entity carries the unique id, which differs from the runtime one
+  client.emit('remove_entity', { entity_id_self: -12n });
+  assert.equal(world.nearby.size, 0);
+  assert.equal(world.nearbyIds.size, 0);
+});
+
+test('reply alerts quote players literally and ignore the bot itself', async () => {
+  assert.throws(() => alerts.addRule({ name: 'x', pattern: 'x', action: 'reply', reply: 'x', cooldown: 0 }), /at least 1 second/);
+  const rule = alerts.addRule({ name: 'Echo', pattern: 'echo', action: 'reply', reply: '{sender} said {message}', cooldown: 1 });
+  try {
+    // Offline sessions play under the configured username
+    mc.say('alt', 'echo from myself');
+    mc.say('Steve', "/op Steve $& $' echo");
+    await waitFor(() => mc.chat.some(m => m.startsWith('Steve said')), { what: 'auto-reply' });
+    assert.deepEqual(mc.chat.filter(m => / said /.test(m)), ["Steve said op Steve $& $' echo"]);
+  } finally {
+    alerts.removeRule(rule.id);
+  }
+});
+
+test('reconnects after a kick and handles the session end once', async () => {
+  bot().reconnectPolicy = { baseDelay: 1000, jitter: 0 };
+  mc.kickAll('Kicked for testing');
+
+  await waitFor(() => bot().status !== 'Online', { what: 'kick' });
+  // The disconnect packet is followed by a socket close — only the first counts
+  const reason = 'Disconnected by server — Kicked for testing';
+  assert.equal(bot().stats.disconnects[reason], 1);
+  assert.equal(bot().stats.sessionTotal, 1);
+  assert.equal(logLines(/^🔌 Disconnected by server/).length, 1);
+  assert.ok(bot().reconnectTimer, 'reconnect should be scheduled');
+  assert.equal(logLines(/Auto-reconnect in 1\.0s \(attempt 1\)/).length, 1);
+
+  await online('respawn after the kick');
+  assert.equal(mc.joins, 2);
+  assert.equal(logLines(/🔄 Reconnect attempt #1/).length, 1);
+  assert.equal(bot().reconnectAttempts, 0, 'a spawn resets the backoff');
+  assert.equal(bot().stats.disconnects[reason], 1);
+});
+
+test('ignores end events from a session it already replaced', async () => {
+  const client = bot().client;
+  const before = logLines(/^🔌/).length;
+
+  client.emit('end');
+  client.emit('close', false);
+  client.emit('disconnect', { message: 'late duplicate' });
+  assert.equal(logLines(/^🔌/).length, before + 1);
+  assert.equal(logLines(/late duplicate/).length, 0);
+
+  // The old client is no longer current(), so its real close is ignored too
+  client.disconnect();
+  await online('respawn after the synthetic end');
+  assert.equal(logLines(/^🔌/).length, before + 1);
+  assert.equal(mc.joins, 3);
+});
+
+test('does not reconnect after a manual disconnect', async () => {
+  stopBot(EMAIL, 'Manually disconnected');
+  assert.equal(bot().status, 'Offline');
+  assert.equal(bot().autoReconnect, false);
+  assert.equal(bot().reconnectTimer, null);
+
+  await waitFor(() => mc.online === 0, { what: 'the server to see the disconnect' });
+  await new Promise(r => setTimeout(r, 1500)); // longer than baseDelay
+  assert.equal(bot().status, 'Offline');
+  assert.equal(mc.joins, 3);
+});
+
+test('a session stopped while still pinging never joins', async () => {
+  const joins = mc.joins;
+  startBot(EMAIL);
+  stopBot(EMAIL, 'Manually disconnected');
+
+  await new Promise(r => setTimeout(r, 1500));
+  assert.equal(mc.joins, joins);
+  assert.equal(mc.online, 0);
+});
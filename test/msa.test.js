@@ -0,0 +1,41 @@
+// Per-account token folders, and picking up tokens from the old shared one
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+// minecraft-folder-path reads the home directory when it is first loaded
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'donut-test-'));
+Object.assign(process.env, { HOME: home, DATA_DIR: path.join(home, 'data') });
+delete process.env.AUTH_CACHE_DIR;
+const msa = require('../msa');
+
+const legacyFile = (username, kind) =>
+  path.join(msa.LEGACY_DIR, `${crypto.createHash('sha1').update(username).digest('hex').slice(0, 6)}_${kind}-cache.json`);
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+test('moves an account\'s tokens out of the shared folder on first start', () => {
+  assert.equal(msa.LEGACY_DIR, path.join(home, '.minecraft', 'nmp-cache'));
+  fs.mkdirSync(msa.LEGACY_DIR, { recursive: true });
+  fs.writeFileSync(legacyFile('alt', 'live'), JSON.stringify({ token: { refresh_token: 'r' } }));
+  fs.writeFileSync(legacyFile('alt', 'xbl'), '{}');
+  fs.writeFileSync(legacyFile('other', 'live'), '{}');
+
+  assert.equal(msa.adoptLegacyCache('alt@example.com', 'alt'), 2);
+  assert.equal(msa.tokenInfo('alt@example.com').refreshable, true);
+  assert.deepEqual(fs.readdirSync(msa.LEGACY_DIR), [path.basename(legacyFile('other', 'live'))]);
+
+  // Only ever once — a forgotten token stays forgotten
+  assert.equal(msa.forgetToken('alt@example.com'), true);
+  assert.equal(msa.adoptLegacyCache('alt@example.com', 'alt'), 0);
+  assert.equal(msa.tokenInfo('alt@example.com'), null);
+});
+
+test('leaves accounts that already have their own folder alone', () => {
+  fs.mkdirSync(msa.cacheDir('other@example.com'), { recursive: true });
+  assert.equal(msa.adoptLegacyCache('other@example.com', 'other'), 0);
+  assert.ok(fs.existsSync(legacyFile('other', 'live')));
+});
@@ -0,0 +1,206 @@
+// REST routes — roles, validation, and a session driven end to end over HTTP
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs   = require('fs');
+const path = require('path');
+const { startMockServer, waitFor } = require('./helpers/mock-bedrock');
+const { loadServer, listen } = require('./helpers/server');
+
+const MC_PORT = 19152;
+const EMAIL   = 'rest@example.com';
+const ADMIN   = 'admin-token';
+const VIEWER  = 'viewer-token';
+
+const server = loadServer({
+  API_TOKENS: `${ADMIN}:admin,${VIEWER}:viewer`,
+  BEDROCK_HOST: '127.0.0.1', BEDROCK_PORT: String(MC_PORT), BEDROCK_OFFLINE: 'true',
+});
+const logs = require('../logs');
+const { app, accountData, startManager, updateProfile } = server;
+let mc, http;
+
+// Resolves { status, body } — body parsed as JSON when it is JSON
+async function api(path, { token = ADMIN, body, method = body ? 'POST' : 'GET' } = {}) {
+  const headers = { ...(token && { Authorization: `Bearer ${token}` }), ...(body && { 'Content-Type': 'application/json' }) };
+  const res = await fetch(http.url + path, { method, headers, body: body && JSON.stringify(body) });
+  const text = await res.text();
+  let parsed = text;
+  try { parsed = JSON.parse(text); } catch (_) {}
+  return { status: res.status, body: parsed };
+}
+
+before(async () => {
+  mc = await startMockServer(MC_PORT);
+  startManager();
+  http = await listen(app);
+});
+
+after(async () => {
+  server.cleanup();
+  mc.close();
+  await http.close();
+});
+
+test('health checks need no login and hide accounts from anonymous callers', async () => {
+  const health = await api('/healthz', { token: null });
+  assert.equal(health.status, 200);
+  assert.equal(health.body.status, 'ok');
+  assert.equal(health.body.discord.enabled, false);
+  assert.equal(health.body.accounts, undefined);
+
+  const ready = await api('/readyz', { token: null });
+  assert.equal(ready.status, 200);
+  assert.equal(ready.body.status, 'ready');
+  assert.ok((await api('/readyz', { token: VIEWER })).body.accounts);
+});
+
+test('enforces roles', async () => {
+  assert.equal((await api('/status', { token: null })).status, 401);
+  assert.equal((await api('/status', { token: 'wrong' })).status, 401);
+  assert.equal((await api('/status', { token: VIEWER })).status, 200);
+
+  const denied = await api('/connect', { token: VIEWER, body: { email: EMAIL } });
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.error, 'admin role required');
+  assert.equal((await api('/webhooks', { token: VIEWER })).status, 403);
+});
+
+test('rejects bad input with 400', async () => {
+  assert.deepEqual((await api('/connect', { body: {} })).body, { error: 'email required' });
+  assert.deepEqual((await api('/connect', { body: { email: EMAIL, port: 70000 } })).body, { error: 'port must be 1-65535' });
+  assert.equal(accountData.has(EMAIL), false);
+
+  assert.deepEqual((await api('/disconnect', { body: { email: 'nobody' } })).body, { error: 'Session not found' });
+  assert.equal((await api('/reconnect-policy?email=nobody')).status, 400);
+  assert.equal((await api('/webhooks', { body: { url: 'ftp://example.com' } })).body.error, 'url must be http(s)');
+  assert.equal((await api('/groups/remove', { body: { name: 'missing' } })).status, 400);
+
+  updateProfile('bridge@example.com', {});
+  assert.deepEqual((await api('/bridge', { body: { email: 'bridge@example.com', channelId: 'general' } })).body, { error: 'channelId must be a Discord ID' });
+  assert.deepEqual((await api('/bridge', { body: { email: 'bridge@example.com', channelId: '200000000000000001' } })).body, { error: 'Discord is not connected' });
+  assert.deepEqual((await api('/bridge', { body: { email: 'bridge@example.com', channelId: null } })).body, { bridgeChannelId: null });
+  accountData.delete('bridge@example.com');
+});
+
+test('pages through the log history newest first', async () => {
+  const account = 'logs@example.com';
+  // Enough to span several read chunks
+  for (let i = 0; i < 800; i++) logs.write(logs.createEntry(account, `line ${i} ${'x'.repeat(100)}`));
+
+  const first = (await api(`/logs?account=${account}&limit=3`)).body;
+  assert.deepEqual(first.entries.map(e => e.message.split(' ')[1]), ['799', '798', '797']);
+  assert.equal(first.hasMore, true);
+
+  const last = (await api(`/logs?account=${account}&offset=700&limit=200`)).body;
+  assert.equal(last.entries.length, 100);
+  assert.deepEqual(last.entries.map(e => Number(e.message.split(' ')[1])), Array.from({ length: 100 }, (_, i) => 99 - i));
+  assert.equal(last.hasMore, false);
+
+  const csv = await api(`/logs?account=${account}&format=csv`);
+  assert.equal(csv.body.trim().split('\n').length, 801);
+
+  // A rotated file that can't be read fails the request instead of hanging it
+  const unreadable = path.join(server.dataDir, 'logs', 'bot.5.log');
+  fs.mkdirSync(unreadable);
+  try {
+    const broken = await api('/logs?account=nobody');
+    assert.equal(broken.status, 500);
+    assert.match(broken.body.error, /^Could not read the logs: /);
+  } finally {
+    fs.rmdirSync(unreadable);
+  }
+});
+
+test('hides device codes and sensitive log lines from viewers', async () => {
+  const email = 'pending@example.com';
+  const bot = updateProfile(email, {});
+  bot.deviceCode = { userCode: 'ABCD-1234', verificationUri: 'https://microsoft.com/link', issuedAt: Date.now(), expiresAt: Date.now() + 60000, attempt: 1 };
+  bot.logs.push({ message: '   -> Code:  ABCD-1234', sensitive: true });
+
+  const asViewer = (await api('/status', { token: VIEWER })).body[email];
+  assert.equal(asViewer.deviceCode.userCode, undefined);
+  assert.ok(asViewer.deviceCode.expiresIn > 0);
+  assert.doesNotMatch(JSON.stringify(asViewer), /ABCD-1234/);
+
+  const asAdmin = (await api('/status')).body[email];
+  assert.equal(asAdmin.deviceCode.userCode, 'ABCD-1234');
+
+  bot.deviceCode = null;
+  accountData.delete(email);
+});
+
+test('connects, chats and disconnects a session', async () => {
+  assert.deepEqual((await api('/connect', { body: { email: EMAIL, username: 'RestBot' } })).body, { success: true });
+  assert.equal((await api('/connect', { body: { email: EMAIL } })).body.error, 'Already connecting or connected');
+  await waitFor(() => accountData.get(EMAIL).status === 'Online', { what: 'spawn' });
+
+  const status = (await api('/status', { token: VIEWER })).body[EMAIL];
+  assert.equal(status.status, 'Online');
+  assert.equal(status.profile.username, 'RestBot');
+  assert.equal(status.profile.port, MC_PORT);
+
+  const chat = await api(`/chat?email=${encodeURIComponent(EMAIL)}&message=${encodeURIComponent('hi from rest')}`);
+  assert.equal(chat.body, 'OK');
+  await waitFor(() => mc.chat.includes('hi from rest'), { what: 'chat to reach the server' });
+
+  const policy = await api('/reconnect-policy', { body: { email: EMAIL, baseDelay: 10 } });
+  assert.equal(policy.status, 400);
+  assert.equal(policy.body.error, 'baseDelay must be 1000-3600000');
+
+  assert.deepEqual((await api('/disconnect', { body: { email: EMAIL } })).body, { success: true });
+  const after = (await api('/status')).body[EMAIL];
+  assert.equal(after.status, 'Offline');
+  assert.equal(after.autoReconnect, false);
+  assert.equal((await api(`/chat?email=${encodeURIComponent(EMAIL)}&message=x`)).body, 'Bot offline');
+
+  // Bulk disconnects name who did it; the metric label leaves that out
+  await api('/connect', { body: { email: EMAIL } });
+  await waitFor(() => accountData.get(EMAIL).status === 'Online', { what: 'second spawn' });
+  const bulk = (await api('/bulk', { body: { action: 'disconnect' } })).body;
+  assert.equal(bulk.results.find(r => r.email === EMAIL).result, 'ok');
+
+  const metrics = await api('/metrics', { token: VIEWER });
+  assert.match(metrics.body, /donut_bots\{status="Offline"\} 1/);
+  assert.match(metrics.body, /donut_chat_messages_total\{direction="out"\} \d+/);
+  assert.match(metrics.body, /donut_disconnects_total\{account="rest@example\.com",reason="Manually disconnected"\} 1/);
+  assert.match(metrics.body, /donut_disconnects_total\{account="rest@example\.com",reason="Disconnected"\} 1/);
+  assert.doesNotMatch(metrics.body, /reason="[^"]*via dashboard/);
+});
+
+test('saves, lists and removes groups', async () => {
+  const saved = await api('/groups', { body: { name: 'Farm', accounts: `${EMAIL}, other@example.com` } });
+  assert.deepEqual(saved.body, { name: 'farm', accounts: [EMAIL, 'other@example.com'] });
+  assert.deepEqual((await api('/groups', { token: VIEWER })).body, { farm: [EMAIL, 'other@example.com'] });
+  assert.deepEqual((await api('/groups/remove', { body: { name: 'farm' } })).body, { success: true });
+  assert.deepEqual((await api('/groups')).body, {});
+});
+
+test('delivers a signed webhook to the built-in receiver', async () => {
+  const hook = (await api('/webhooks', { body: { url: `${http.url}/webhooks/receiver`, secret: 's3cret', events: ['status'] } })).body;
+  assert.equal(hook.secret, true, 'the secret itself is never returned');
+
+  const sent = await api('/webhooks/test', { body: { id: hook.id } });
+  assert.equal(sent.body.event.type, 'test');
+
+  const delivery = await waitForDelivery(sent.body.event.id);
+  assert.equal(delivery.webhook, hook.id);
+  assert.equal(delivery.event, 'test');
+  assert.equal(delivery.signed, true);
+
+  // Unsigned deliveries for a hook with a secret are refused
+  const forged = await fetch(`${http.url}/webhooks/receiver`, {
+    method: 'POST', headers: { 'Content-Type': 'application/json', 'X-Bot-Webhook': hook.id }, body: '{}',
+  });
+  assert.equal(forged.status, 401);
+
+  assert.deepEqual((await api('/webhooks/remove', { body: { id: hook.id } })).body, { success: true });
+});
+
+async function waitForDelivery(eventId) {
+  for (let i = 0; i < 100; i++) {
+    const found = (await api('/webhooks/receiver')).body.find(d => d.delivery === eventId);
+    if (found) return found;
+    await new Promise(r => setTimeout(r, 50));
+  }
+  throw new Error(`webhook delivery ${eventId} never arrived`);
+}
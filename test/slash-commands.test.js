@@ -0,0 +1,200 @@
+// Slash commands dispatched through a stand-in Discord client
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MessageFlags } = require('discord.js');
+const { startMockServer, waitFor } = require('./helpers/mock-bedrock');
+const { GUILD_ID, CHANNEL_ID, createChannel, createMockDiscord, createInteraction, lastEmbed } = require('./helpers/mock-discord');
+const { loadServer, listen } = require('./helpers/server');
+
+const MC_PORT = 19153;
+const EMAIL   = 'slash@example.com';
+const OWNER   = '500000000000000001';
+
+const server = loadServer({
+  DISCORD_TOKEN: 'test-token', DISCORD_CHANNEL_ID: CHANNEL_ID, DISCORD_GUILD_IDS: GUILD_ID, DISCORD_AUTO_REGISTER: 'false',
+  BEDROCK_HOST: '127.0.0.1', BEDROCK_PORT: String(MC_PORT), BEDROCK_OFFLINE: 'true',
+});
+const permissions = require('../permissions');
+const { app, accountData, startManager, initDiscord, slashHandlers } = server;
+
+const channel = createChannel();
+const other   = createChannel('200000000000000002', '100000000000000002'); // another server's channel
+const voice   = createChannel('200000000000000003', GUILD_ID, { text: false });
+const discord = createMockDiscord({ channels: [channel, other, voice] });
+let mc;
+
+// Runs the interactionCreate listener to completion
+async function run(commandName, opts) {
+  const interaction = createInteraction(commandName, opts);
+  await Promise.all(discord.listeners('interactionCreate').map(fn => fn(interaction)));
+  return interaction;
+}
+
+const titles = (payloads) => payloads.flatMap(p => p.embeds ?? []).map(e => e.toJSON().title);
+
+before(async () => {
+  mc = await startMockServer(MC_PORT);
+  startManager();
+  await initDiscord(discord);
+  // 'ready' posts the online notice and the status panel
+  await waitFor(() => channel.sent.length >= 2, { what: 'ready handler' });
+});
+
+after(() => {
+  server.cleanup();
+  mc.close();
+});
+
+test('announces itself and posts the status panel on ready', () => {
+  assert.deepEqual(titles(channel.sent).slice(0, 2), ['🟢 Bot Manager Online', '📊 Bot Status — 0/0 online']);
+  assert.equal(discord.user.activity, '127.0.0.1');
+});
+
+test('/status with no accounts', async () => {
+  const i = await run('status');
+  assert.deepEqual(i.deferred, {});
+  assert.equal(lastEmbed(i).description, 'No active sessions.');
+});
+
+test('/connect, /chat and /disconnect drive a real session', async () => {
+  const connect = await run('connect', { options: { account: EMAIL, username: 'SlashBot' } });
+  assert.equal(lastEmbed(connect).title, '🚀 Connecting');
+  assert.match(lastEmbed(connect).description, /127\.0\.0\.1:19153/);
+  await waitFor(() => accountData.get(EMAIL).status === 'Online', { what: 'spawn' });
+  await waitFor(() => titles(channel.sent).includes('✅ Bot Online'), { what: 'online notice' });
+
+  const again = await run('connect', { options: { account: EMAIL } });
+  assert.equal(lastEmbed(again).title, '⚠️ Already Active');
+
+  const chat = await run('chat', { options: { account: EMAIL, message: 'hi from discord' } });
+  assert.equal(lastEmbed(chat).title, '📤 Sent');
+  await waitFor(() => mc.chat.includes('hi from discord'), { what: 'chat to reach the server' });
+
+  // In-game chat is mirrored to the primary channel
+  mc.say('Alex', 'mirrored line');
+  await waitFor(() => JSON.stringify(channel.sent).includes('mirrored line'), { what: 'chat mirror' });
+
+  const status = await run('status');
+  assert.match(lastEmbed(status).description, /🟢 \*\*slash@example\.com\*\* — Online/);
+
+  const disconnect = await run('disconnect', { options: { account: EMAIL } });
+  assert.equal(lastEmbed(disconnect).title, '🔌 Disconnected');
+  assert.equal(accountData.get(EMAIL).status, 'Offline');
+  assert.equal(accountData.get(EMAIL).autoReconnect, false);
+
+  const offline = await run('chat', { options: { account: EMAIL, message: 'nobody home' } });
+  assert.equal(lastEmbed(offline).title, '❌ Bot Offline');
+});
+
+test('/disconnect and /reconnect on an unknown account', async () => {
+  assert.equal(lastEmbed(await run('disconnect', { options: { account: 'ghost' } })).title, '❌ Not Found');
+  assert.equal(lastEmbed(await run('reconnect', { options: { account: 'ghost', enabled: true } })).title, '❌ Not Found');
+});
+
+test('/group set, list and delete', async () => {
+  const set = await run('group', { subcommand: 'set', options: { name: 'Farm', accounts: `${EMAIL},b@example.com` } });
+  assert.equal(lastEmbed(set).title, '👥 Group Saved');
+
+  const list = await run('group', { subcommand: 'list' });
+  assert.match(lastEmbed(list).description, /\*\*farm\*\* \(2\)/);
+
+  assert.equal(lastEmbed(await run('group', { subcommand: 'delete', options: { name: 'farm' } })).title, '🗑️ Group Deleted');
+  assert.equal(lastEmbed(await run('group', { subcommand: 'delete', options: { name: 'farm' } })).title, '❌ Not Found');
+});
+
+test('/auth replies are ephemeral', async () => {
+  const i = await run('auth', { subcommand: 'status' });
+  assert.equal(i.deferred.flags, MessageFlags.Ephemeral);
+  assert.match(lastEmbed(i).description, /slash@example\.com\*\* — ⚫ offline mode/);
+
+  const code = await run('auth', { subcommand: 'code', options: { account: EMAIL }, admin: true });
+  assert.equal(lastEmbed(code).title, '❌ No Pending Code');
+});
+
+test('/auth code, forget and reauth are for the account\'s owners and admins', async () => {
+  const denied = await run('auth', { subcommand: 'code', options: { account: EMAIL } });
+  assert.equal(lastEmbed(denied).title, '⛔ Permission Denied');
+  assert.equal(lastEmbed(await run('auth', { subcommand: 'forget', options: { account: EMAIL } })).title, '⛔ Permission Denied');
+
+  permissions.setPermissions({ accounts: { [EMAIL]: { users: [OWNER] } } });
+  try {
+    const owner = await run('auth', { subcommand: 'code', options: { account: EMAIL }, user: { id: OWNER } });
+    assert.equal(lastEmbed(owner).title, '❌ No Pending Code');
+  } finally {
+    permissions.setPermissions({});
+  }
+});
+
+test('permission rules deny before the reply is deferred', async () => {
+  permissions.setPermissions({ commands: { disconnect: { users: [OWNER] } }, accounts: { [EMAIL]: { users: [OWNER] } } });
+  try {
+    const denied = await run('disconnect', { options: { account: 'ghost' } });
+    assert.equal(denied.deferred, null);
+    assert.equal(denied.replies[0].flags, MessageFlags.Ephemeral);
+    assert.equal(lastEmbed(denied).title, '⛔ Permission Denied');
+    assert.match(lastEmbed(denied).description, /not allowed to use \/disconnect/);
+
+    // The account rule applies to every command that names the account
+    const status = await run('stats', { options: { account: EMAIL } });
+    assert.match(lastEmbed(status).description, /not allowed to control `slash@example\.com`/);
+
+    assert.equal(lastEmbed(await run('disconnect', { options: { account: 'ghost' }, user: { id: OWNER } })).title, '❌ Not Found');
+    assert.equal(lastEmbed(await run('disconnect', { options: { account: 'ghost' }, admin: true })).title, '❌ Not Found');
+  } finally {
+    permissions.setPermissions({});
+  }
+});
+
+test('/notify routes notifications per server', async () => {
+  const elsewhere = { guildId: other.guildId };
+  const set = await run('notify', { ...elsewhere, subcommand: 'set', options: { channel: { id: other.id } } });
+  assert.equal(lastEmbed(set).title, '🔔 Notification Channel Set');
+  assert.deepEqual(titles(other.sent), ['🔔 Notifications Enabled']);
+
+  // A channel from a different server is refused
+  const wrong = await run('notify', { subcommand: 'set', options: { channel: { id: other.id } } });
+  assert.equal(lastEmbed(wrong).title, '❌ Invalid Channel');
+
+  await run('connect', { options: { account: 'notify@example.com' } });
+  await waitFor(() => titles(other.sent).includes('🚀 Connecting'), { what: 'notification in the second server' });
+  await run('disconnect', { options: { account: 'notify@example.com' } });
+
+  const off = await run('notify', { ...elsewhere, subcommand: 'off' });
+  assert.equal(lastEmbed(off).title, '🔕 Notifications Off');
+});
+
+test('bridges only accept text channels', async () => {
+  const http = await listen(app);
+  try {
+    const bridge = (channelId) => fetch(`${http.url}/bridge`, {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ email: EMAIL, channelId }),
+    }).then(r => r.json());
+
+    assert.deepEqual(await bridge(voice.id), { error: 'channelId must be a text channel or thread the bot can see' });
+    assert.deepEqual(await bridge('200000000000000099'), { error: 'channelId must be a text channel or thread the bot can see' });
+    assert.deepEqual(await bridge(other.id), { bridgeChannelId: other.id });
+  } finally {
+    await http.close();
+  }
+
+  // A saved bridge that is no longer a text channel falls back to the shared one
+  accountData.get(EMAIL).bridgeChannelId = voice.id;
+  await run('connect', { options: { account: EMAIL } });
+  await waitFor(() => accountData.get(EMAIL).status === 'Online', { what: 'spawn' });
+  mc.say('Alex', 'after the bridge broke');
+  await waitFor(() => JSON.stringify(channel.sent).includes('after the bridge broke'), { what: 'chat in the shared channel' });
+  await run('disconnect', { options: { account: EMAIL } });
+});
+
+test('unknown commands and handler errors get a reply', async () => {
+  assert.equal(lastEmbed(await run('nonexistent')).title, '❓ Unknown Command');
+
+  slashHandlers.explode = async () => { throw new Error('boom'); };
+  try {
+    const i = await run('explode');
+    assert.equal(lastEmbed(i).title, '❌ Command Failed');
+    assert.equal(lastEmbed(i).description, 'boom');
+  } finally {
+    delete slashHandlers.explode;
+  }
+});
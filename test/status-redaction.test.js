@@ -0,0 +1,49 @@
+// GET /status as a viewer — device codes and sensitive log lines from a
+// restored state file are admin-only
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, listen } = require('./helpers/server');
+
+const EMAIL = 'alt@example.com';
+const CODE  = 'ABCD-1234';
+
+const server = loadServer({ API_TOKENS: 'admin-token:admin,viewer-token:viewer' }, {
+  state: {
+    accounts: {
+      [EMAIL]: {
+        autoReconnect: false, resume: false,
+        logs: [
+          { time: '12:00:00', message: `   -> Code:  ${CODE}  (expires in 15 min)`, sensitive: true },
+          { time: '12:00:01', message: '✅ Spawned!' },
+        ],
+      },
+    },
+  },
+});
+let http;
+
+const get = (route, token) => fetch(http.url + route, { headers: { Authorization: `Bearer ${token}` } });
+
+before(async () => {
+  server.startManager();
+  http = await listen(server.app);
+});
+
+after(async () => {
+  server.cleanup();
+  await http.close();
+});
+
+test('viewers get sensitive log lines hidden', async () => {
+  const res = await get('/status', 'viewer-token');
+  assert.equal(res.status, 200);
+  const account = (await res.json())[EMAIL];
+  assert.doesNotMatch(JSON.stringify(account), new RegExp(CODE));
+  assert.deepEqual(account.logs.map(e => e.message), ['🔒 [hidden — admin only]', '✅ Spawned!']);
+  assert.equal(account.deviceCode, null);
+});
+
+test('admins get the full log', async () => {
+  const account = (await (await get('/status', 'admin-token')).json())[EMAIL];
+  assert.match(account.logs[0].message, new RegExp(CODE));
+});
@@ -0,0 +1,59 @@
+// Delivery order across retries, and signature checks on the receiving side
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const { waitFor } = require('./helpers/mock-bedrock');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'donut-test-'));
+process.env.DATA_DIR = dataDir;
+delete process.env.WEBHOOKS;
+const webhooks = require('../webhooks');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('a failed delivery holds back later events until it goes through', async () => {
+  const seen = [];  // [event id, status] per request
+  let failures = 1;
+  const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', () => {
+      const status = failures-- > 0 ? 503 : 200;
+      seen.push([JSON.parse(body).data.status, status]);
+      res.writeHead(status).end();
+    });
+  });
+  await new Promise(r => receiver.listen(0, '127.0.0.1', r));
+
+  try {
+    webhooks.addHook({ url: `http://127.0.0.1:${receiver.address().port}/`, events: ['status'] });
+    webhooks.emit('status', 'a@example.com', { status: 'first', previous: null });
+    webhooks.emit('status', 'a@example.com', { status: 'second', previous: 'first' });
+
+    // The first retry waits 5s
+    await waitFor(() => seen.length === 3, { timeout: 10000, what: 'the retry and the next event' });
+    assert.deepEqual(seen, [['first', 503], ['first', 200], ['second', 200]]);
+  } finally {
+    receiver.close();
+  }
+});
+
+test('verify() rejects bad signatures and stale timestamps', () => {
+  const hook = { secret: 'shh' };
+  const body = '{"id":"1"}';
+  const signed = (timestamp, secret = hook.secret) => {
+    const signature = `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+    return { 'x-bot-timestamp': String(timestamp), 'x-bot-signature': signature };
+  };
+  const now = Date.now();
+
+  assert.equal(webhooks.verify(hook, signed(now), body), true);
+  assert.equal(webhooks.verify(hook, signed(now, 'wrong'), body), false);
+  assert.equal(webhooks.verify(hook, signed(now - 10 * 60 * 1000), body), false);
+  assert.equal(webhooks.verify(hook, { 'x-bot-signature': signed(now)['x-bot-signature'] }, body), false);
+  assert.equal(webhooks.verify({ secret: null }, {}, body), true);
+});
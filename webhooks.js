@@ -0,0 +1,299 @@
+// ─────────────────────────────────────────────
+//  Outbound webhooks
+//
+//  {
+//    id, url,
+//    events:   ['status', 'disconnect', 'auth_code',
+//               'chat']            — empty = every event
+//    accounts: [email, ...]        — empty = every account
+//    format:   'json'  — the event envelope below
+//              'slack' — { text } for Slack / Discord-
+//                        compatible incoming webhooks
+//              'ntfy'  — plain text + Title header
+//    secret:   HMAC-SHA256 key (optional)
+//    enabled:  true
+//  }
+//
+//  Envelope (see EVENT_SCHEMA):
+//    { id, type, account, timestamp, data }
+//
+//  Headers on every request:
+//    X-Bot-Event, X-Bot-Delivery (event id),
+//    X-Bot-Webhook (hook id), X-Bot-Timestamp (ms),
+//    X-Bot-Signature: sha256=HMAC(secret,
+//      `${timestamp}.${body}`) when a secret is set
+//  verify() also rejects timestamps more than
+//  MAX_SKEW_MS (5 min) away, so a captured request
+//  can't be replayed later.
+//
+//  Failed deliveries (network, 429, 5xx) are retried
+//  after 5s, 30s, 2m and 10m, then dropped. Each hook
+//  delivers in order — later events wait while a
+//  retry is pending — and holds at most MAX_QUEUE
+//  events; the oldest are dropped past that.
+//
+//  Seeded from WEBHOOKS (JSON array) on first boot,
+//  then stored in the state file.
+// ─────────────────────────────────────────────
+const crypto = require('crypto');
+const store  = require('./store');
+
+const EVENT_TYPES  = ['status', 'disconnect', 'auth_code', 'chat'];
+const FORMATS      = ['json', 'slack', 'ntfy'];
+const MAX_HOOKS    = 20;
+const MAX_QUEUE    = 200;
+const TIMEOUT_MS   = 10000;
+const RETRY_DELAYS = [5000, 30000, 120000, 600000];
+const MAX_SKEW_MS  = 5 * 60 * 1000;
+
+const EVENT_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: 'Bot webhook event',
+  type: 'object',
+  required: ['id', 'type', 'account', 'timestamp', 'data'],
+  properties: {
+    id:        { type: 'string', description: 'Unique per event; retries reuse it' },
+    type:      { enum: [...EVENT_TYPES, 'test'] },
+    account:   { type: ['string', 'null'] },
+    timestamp: { type: 'string', format: 'date-time' },
+    data:      { type: 'object' },
+  },
+  oneOf: [
+    { properties: { type: { const: 'status' }, data: { required: ['status', 'previous'],
+      properties: { status: { type: 'string' }, previous: { type: ['string', 'null'] } } } } },
+    { properties: { type: { const: 'disconnect' }, data: { required: ['reason', 'error'],
+      properties: { reason: { type: 'string' }, error: { type: 'boolean' }, reconnect: { type: ['string', 'null'] } } } } },
+    { properties: { type: { const: 'auth_code' }, data: { required: ['userCode', 'verificationUri', 'expiresAt'],
+      properties: { userCode: { type: 'string' }, verificationUri: { type: 'string' }, expiresAt: { type: 'integer' }, attempt: { type: 'integer' } } } } },
+    { properties: { type: { const: 'chat' }, data: { required: ['sender', 'message'],
+      properties: { sender: { type: ['string', 'null'] }, message: { type: 'string' } } } } },
+    { properties: { type: { const: 'test' } } },
+  ],
+};
+
+const queues = new Map(); // hook id -> { queue, busy, delivered, failed, dropped, last }
+
+function listHooks() {
+  let hooks = store.get('webhooks');
+  if (!hooks && process.env.WEBHOOKS) {
+    try {
+      const input = JSON.parse(process.env.WEBHOOKS);
+      if (!Array.isArray(input)) throw new Error('must be a JSON array');
+      hooks = input.map(h => ({ id: crypto.randomBytes(3).toString('hex'), ...parseHook(h) }));
+      store.set('webhooks', hooks);
+    } catch (err) {
+      console.error(`❌ Ignoring WEBHOOKS — ${err.message}`);
+    }
+  }
+  return hooks || [];
+}
+
+const list = (v) => typeof v === 'string' ? v.split(',').map(s => s.trim()).filter(Boolean) : v;
+
+// Throws on invalid input
+function parseHook(input = {}) {
+  let url;
+  try { url = new URL(String(input.url ?? '')); } catch (_) { throw new Error('url must be a valid URL'); }
+  if (!['http:', 'https:'].includes(url.protocol)) throw new Error('url must be http(s)');
+
+  const events = list(input.events ?? []);
+  if (!Array.isArray(events)) throw new Error('events must be an array');
+  const bad = events.find(e => !EVENT_TYPES.includes(e));
+  if (bad) throw new Error(`unknown event '${bad}' — use ${EVENT_TYPES.join(', ')}`);
+
+  const accounts = list(input.accounts ?? []);
+  if (!Array.isArray(accounts)) throw new Error('accounts must be an array');
+
+  const format = input.format ?? 'json';
+  if (!FORMATS.includes(format)) throw new Error(`format must be one of ${FORMATS.join(', ')}`);
+
+  const secret = input.secret ? String(input.secret) : null;
+  if (secret && secret.length > 200) throw new Error('secret must be at most 200 chars');
+
+  return {
+    url: url.toString(), events: [...new Set(events)], accounts: accounts.map(String),
+    format, secret, enabled: input.enabled !== false,
+  };
+}
+
+function addHook(input) {
+  const hooks = listHooks();
+  if (hooks.length >= MAX_HOOKS) throw new Error(`at most ${MAX_HOOKS} webhooks`);
+  const hook = { id: crypto.randomBytes(3).toString('hex'), ...parseHook(input) };
+  store.set('webhooks', [...hooks, hook]);
+  return hook;
+}
+
+// Fields left out keep their current value; secret: null clears it
+function updateHook(id, input) {
+  const hooks = listHooks();
+  const current = hooks.find(h => h.id === id);
+  if (!current) return null;
+  const hook = { id, ...parseHook({ ...current, ...input }) };
+  store.set('webhooks', hooks.map(h => h.id === id ? hook : h));
+  return hook;
+}
+
+// Returns the removed hook, or null
+function removeHook(id) {
+  const hooks = listHooks();
+  const hook = hooks.find(h => h.id === id);
+  if (!hook) return null;
+  store.set('webhooks', hooks.filter(h => h.id !== id));
+  queues.delete(id);
+  return hook;
+}
+
+function queueFor(id) {
+  if (!queues.has(id)) queues.set(id, { queue: [], busy: false, delivered: 0, failed: 0, dropped: 0, last: null });
+  return queues.get(id);
+}
+
+// Safe to show in the API: secret replaced by a flag, delivery counters added
+function describeHook(hook) {
+  const { secret, ...rest } = hook;
+  const q = queueFor(hook.id);
+  return { ...rest, secret: !!secret, pending: q.queue.length, delivered: q.delivered, failed: q.failed, dropped: q.dropped, last: q.last };
+}
+
+const ICONS = { status: '📶', disconnect: '🔌', auth_code: '🔑', chat: '💬', test: '🧪' };
+
+// One-line summary for the slack/ntfy formats
+function describeEvent(e) {
+  const who = e.account ? `\`${e.account}\`` : 'Bot manager';
+  switch (e.type) {
+    case 'status':     return `${who} is now ${e.data.status}${e.data.previous ? ` (was ${e.data.previous})` : ''}`;
+    case 'disconnect': return `${who} disconnected — ${e.data.reason}${e.data.reconnect ? `\n${e.data.reconnect}` : ''}`;
+    case 'auth_code':  return `${who} needs Microsoft sign-in: enter ${e.data.userCode} at ${e.data.verificationUri} before ${new Date(e.data.expiresAt).toISOString()}`;
+    case 'chat':       return `${who} ${e.data.sender ? `<${e.data.sender}> ` : ''}${e.data.message}`;
+    default:           return `${who}: test delivery`;
+  }
+}
+
+function render(hook, event) {
+  const text = `${ICONS[event.type] ?? '📣'} ${describeEvent(event)}`;
+  switch (hook.format) {
+    case 'slack': return { type: 'application/json', body: JSON.stringify({ text }) };
+    case 'ntfy':  return { type: 'text/plain; charset=utf-8', body: text, extra: { Title: `Bot ${event.type.replace('_', ' ')}`, Tags: event.type } };
+    default:      return { type: 'application/json', body: JSON.stringify(event) };
+  }
+}
+
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Checks the headers of an incoming delivery against the hook's secret
+function verify(hook, headers, body, now = Date.now()) {
+  if (!hook.secret) return true;
+  const timestamp = headers['x-bot-timestamp'];
+  if (!(Math.abs(now - Number(timestamp)) <= MAX_SKEW_MS)) return false;
+  const given = Buffer.from(String(headers['x-bot-signature'] ?? ''));
+  const expected = Buffer.from(sign(hook.secret, timestamp, body));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function createEvent(type, account, data) {
+  return { id: crypto.randomUUID(), type, account, timestamp: new Date().toISOString(), data };
+}
+
+// Resolves the delay before the next try, or null when the job is done
+async function attempt(hook, job) {
+  const q = queueFor(hook.id);
+  const { type, body, extra } = render(hook, job.event);
+  const timestamp = String(Date.now());
+  const headers = {
+    'Content-Type': type,
+    'User-Agent': 'DonutSMP-Bot-Manager',
+    'X-Bot-Event': job.event.type,
+    'X-Bot-Delivery': job.event.id,
+    'X-Bot-Webhook': hook.id,
+    'X-Bot-Timestamp': timestamp,
+    ...extra,
+  };
+  if (hook.secret) headers['X-Bot-Signature'] = sign(hook.secret, timestamp, body);
+
+  let error;
+  let retryable = true;
+  try {
+    const res = await fetch(hook.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(TIMEOUT_MS) });
+    if (res.ok) {
+      q.delivered++;
+      q.last = { at: Date.now(), event: job.event.type, ok: true, status: res.status };
+      return null;
+    }
+    error = `HTTP ${res.status}`;
+    retryable = res.status === 429 || res.status >= 500;
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? `timed out after ${TIMEOUT_MS / 1000}s` : err.cause?.message || err.message;
+  }
+
+  const delay = retryable ? RETRY_DELAYS[job.attempt - 1] : undefined;
+  q.last = { at: Date.now(), event: job.event.type, ok: false, error, retryIn: delay ?? null };
+  if (delay === undefined) {
+    q.failed++;
+    console.warn(`⚠️  Webhook ${hook.id} dropped ${job.event.type} event after ${job.attempt} attempt(s) — ${error}`);
+    return null;
+  }
+  return delay;
+}
+
+function enqueue(id, job) {
+  const q = queueFor(id);
+  q.queue.push(job);
+  if (q.queue.length > MAX_QUEUE) { q.queue.shift(); q.dropped++; }
+  pump(id);
+}
+
+async function pump(id) {
+  const q = queueFor(id);
+  if (q.busy) return;
+  q.busy = true;
+  try {
+    while (q.queue.length) {
+      let job = q.queue.shift();
+      // Retries hold up the rest of the queue so events arrive in order
+      for (;;) {
+        // Re-read so edits (new URL, secret) apply to queued events too
+        const hook = listHooks().find(h => h.id === id);
+        if (!hook) return; // removed, possibly while waiting to retry
+        const delay = await attempt(hook, job);
+        if (delay === null) break;
+        await new Promise(r => setTimeout(r, delay).unref());
+        job = { ...job, attempt: job.attempt + 1 };
+      }
+    }
+  } finally {
+    q.busy = false;
+  }
+}
+
+function matches(hook, event) {
+  if (!hook.enabled) return false;
+  if (hook.events.length && !hook.events.includes(event.type)) return false;
+  if (hook.accounts.length && !hook.accounts.includes(event.account)) return false;
+  return true;
+}
+
+// Fan an event out to every matching hook. Never throws, never waits.
+function emit(type, account, data) {
+  const hooks = listHooks().filter(h => matches(h, { type, account }));
+  if (!hooks.length) return null;
+  const event = createEvent(type, account, data);
+  for (const hook of hooks) enqueue(hook.id, { event, attempt: 1 });
+  return event;
+}
+
+// Sends a 'test' event to one hook, ignoring its filters
+function sendTest(id) {
+  if (!listHooks().some(h => h.id === id)) return null;
+  const event = createEvent('test', null, { message: 'Test delivery from the bot manager' });
+  enqueue(id, { event, attempt: 1 });
+  return event;
+}
+
+module.exports = {
+  EVENT_TYPES, FORMATS, EVENT_SCHEMA,
+  listHooks, addHook, updateHook, removeHook, describeHook,
+  emit, sendTest, verify,
+};
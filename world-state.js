@@ -0,0 +1,210 @@
+// ─────────────────────────────────────────────
+//  Live world state per session, built from the
+//  server's packets: our position / rotation /
+//  dimension / health / hunger, the player list,
+//  and positions of players in render distance.
+//
+//  Options (stored per account):
+//  {
+//    autoRespawn:       respawn automatically on death   (true)
+//    proximityRadius:   blocks, 0 = off                  (0)
+//    proximityCooldown: seconds before the same player
+//                       can trigger again                (300)
+//  }
+// ─────────────────────────────────────────────
+const DIMENSIONS = ['overworld', 'nether', 'end'];
+
+// start_game maps the id to a name, change_dimension sends the raw id
+const dimensionName = (d) => typeof d === 'string' ? d : DIMENSIONS[d] ?? `dimension ${d}`;
+
+const DEFAULT_WORLD_OPTIONS = {
+  autoRespawn: true,
+  proximityRadius: 0,
+  proximityCooldown: 300,
+};
+
+// Validates overrides; throws on bad input
+function parseWorldOptions(input = {}) {
+  const out = {};
+  if (input.autoRespawn !== undefined) out.autoRespawn = input.autoRespawn === true || input.autoRespawn === 'true';
+  for (const [field, max] of [['proximityRadius', 512], ['proximityCooldown', 86400]]) {
+    if (input[field] === undefined) continue;
+    const n = Number(input[field]);
+    if (!Number.isFinite(n) || n < 0 || n > max) throw new Error(`${field} must be 0-${max}`);
+    out[field] = n;
+  }
+  return out;
+}
+
+function resolveWorldOptions(overrides) {
+  return { ...DEFAULT_WORLD_OPTIONS, ...overrides };
+}
+
+function createWorld() {
+  return {
+    runtimeId: null,
+    position: { x: 0, y: 0, z: 0 },
+    yaw: 0, pitch: 0,
+    tick: 0n,
+    dimension: 'overworld',
+    health: null, maxHealth: 20,
+    hunger: null, saturation: null,
+    dead: false,
+    playerList: new Map(),   // uuid -> username
+    nearby: new Map(),       // runtime id -> { name, position }
+    nearbyIds: new Map(),    // unique id -> runtime id (remove_entity sends the unique one)
+    lastNear: new Map(),     // username -> ms of last proximity alert
+  };
+}
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+const sameId   = (a, b) => a !== null && String(a) === String(b);
+
+// Wire packet listeners onto a bedrock-protocol client. `events` callbacks:
+//   onDeath(), onRespawn(), onDimension(name), onPlayerNear(name, distance)
+function trackWorld(client, world, getOptions, events = {}) {
+  const checkProximity = (entry) => {
+    const { proximityRadius, proximityCooldown } = getOptions();
+    if (!proximityRadius) return;
+    const d = distance(entry.position, world.position);
+    if (d > proximityRadius) return;
+    const now = Date.now();
+    if (now - (world.lastNear.get(entry.name) ?? -Infinity) < proximityCooldown * 1000) return;
+    world.lastNear.set(entry.name, now);
+    events.onPlayerNear?.(entry.name, d);
+  };
+
+  const setHealth = (health) => {
+    world.health = health;
+    if (health <= 0 && !world.dead) {
+      world.dead = true;
+      events.onDeath?.();
+      if (getOptions().autoRespawn) requestRespawn(client, world);
+    } else if (health > 0) {
+      world.dead = false;
+    }
+  };
+
+  client.on('start_game', (p) => {
+    world.runtimeId = p.runtime_entity_id;
+    world.position  = p.player_position;
+    world.pitch     = p.rotation?.x ?? 0;
+    world.yaw       = p.rotation?.z ?? 0;
+    world.tick      = BigInt(p.current_tick ?? 0);
+    world.dimension = dimensionName(p.dimension);
+  });
+
+  client.on('move_player', (p) => {
+    if (sameId(world.runtimeId, p.runtime_id)) {
+      world.position = p.position;
+      world.pitch    = p.pitch;
+      world.yaw      = p.yaw;
+      // We moved — anyone already in range may now be closer
+      for (const entry of world.nearby.values()) checkProximity(entry);
+      return;
+    }
+    const entry = world.nearby.get(String(p.runtime_id));
+    if (entry) { entry.position = p.position; checkProximity(entry); }
+  });
+
+  client.on('move_entity', (p) => {
+    const entry = world.nearby.get(String(p.runtime_entity_id));
+    if (entry) { entry.position = p.position; checkProximity(entry); }
+  });
+
+  client.on('move_entity_delta', (p) => {
+    const entry = world.nearby.get(String(p.runtime_entity_id));
+    if (!entry) return;
+    entry.position = {
+      x: p.flags.has_x ? p.x : entry.position.x,
+      y: p.flags.has_y ? p.y : entry.position.y,
+      z: p.flags.has_z ? p.z : entry.position.z,
+    };
+    checkProximity(entry);
+  });
+
+  client.on('add_player', (p) => {
+    const entry = { name: p.username, position: p.position };
+    world.nearby.set(String(p.runtime_id), entry);
+    world.nearbyIds.set(String(p.unique_id), String(p.runtime_id));
+    checkProximity(entry);
+  });
+
+  client.on('remove_entity', (p) => {
+    const uniqueId = String(p.entity_id_self);
+    world.nearby.delete(world.nearbyIds.get(uniqueId));
+    world.nearbyIds.delete(uniqueId);
+  });
+
+  client.on('player_list', (p) => {
+    const { type, records } = p.records;
+    for (const r of records) {
+      if (type === 'add') world.playerList.set(r.uuid, r.username);
+      else world.playerList.delete(r.uuid);
+    }
+  });
+
+  client.on('set_health', (p) => setHealth(p.health));
+
+  client.on('update_attributes', (p) => {
+    if (!sameId(world.runtimeId, p.runtime_entity_id)) return;
+    for (const a of p.attributes) {
+      if (a.name === 'minecraft:health') { world.maxHealth = a.max; setHealth(a.current); }
+      if (a.name === 'minecraft:player.hunger') world.hunger = a.current;
+      if (a.name === 'minecraft:player.saturation') world.saturation = a.current;
+    }
+  });
+
+  // state 1 = server has a spawn point ready for us
+  client.on('respawn', (p) => {
+    if (p.state !== 1) return;
+    world.position = p.position;
+    if (world.dead && getOptions().autoRespawn) {
+      client.queue('player_action', {
+        runtime_entity_id: world.runtimeId, action: 'respawn',
+        position: { x: 0, y: 0, z: 0 }, result_position: { x: 0, y: 0, z: 0 }, face: -1,
+      });
+      world.dead = false;
+      events.onRespawn?.();
+    }
+  });
+
+  client.on('change_dimension', (p) => {
+    world.dimension = dimensionName(p.dimension);
+    world.position  = p.position;
+    world.nearby.clear();
+    world.nearbyIds.clear();
+    client.queue('player_action', {
+      runtime_entity_id: world.runtimeId, action: 'dimension_change_ack',
+      position: { x: 0, y: 0, z: 0 }, result_position: { x: 0, y: 0, z: 0 }, face: 0,
+    });
+    events.onDimension?.(world.dimension);
+  });
+}
+
+// state 2 = client ready to respawn; the server answers with respawn state 1
+function requestRespawn(client, world) {
+  client.queue('respawn', { position: { x: 0, y: 0, z: 0 }, state: 2, runtime_entity_id: world.runtimeId });
+}
+
+// JSON-safe view for /status, SSE and /where
+function summarizeWorld(world) {
+  if (!world?.runtimeId) return null;
+  const round = (v) => Math.round(v * 10) / 10;
+  return {
+    position: { x: round(world.position.x), y: round(world.position.y), z: round(world.position.z) },
+    dimension: world.dimension,
+    health: world.health, maxHealth: world.maxHealth,
+    hunger: world.hunger,
+    dead: world.dead,
+    players: [...world.playerList.values()].sort(),
+    nearby: [...world.nearby.values()]
+      .map(e => ({ name: e.name, distance: round(distance(e.position, world.position)) }))
+      .sort((a, b) => a.distance - b.distance),
+  };
+}
+
+module.exports = {
+  DEFAULT_WORLD_OPTIONS, parseWorldOptions, resolveWorldOptions,
+  createWorld, trackWorld, requestRespawn, summarizeWorld,
+};